@@ -1,181 +1,114 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect, useRef, useId } from "react";
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
   LabelList,
+  ReferenceArea,
 } from "recharts";
-
-// CFA-branded color palette
-const COLORS = {
-  primary: "#4476ff",
-  dark: "#06005a",
-  darkAlt: "#38337b",
-  positive: "#6991ff",
-  negative: "#ea792d",
-  purple: "#7a46ff",
-  purpleAlt: "#50037f",
-  lightBlue: "#4476ff",
-  orange: "#ea792d",
-  darkText: "#06005a",
+import { buildDividendSeries, DEFAULT_TIMING } from "./valuation";
+import { MODEL_CONFIG } from "./config";
+import { toSubscript } from "./format";
+import { LocaleContext, useLocale, loadLocale, saveLocale, localeContextValue } from "./locale";
+import LocaleSelector from "./LocaleSelector";
+import { Card, InfoIcon, RadioGroup } from "./ui";
+import ParameterField, { ParameterControl } from "./ParameterField";
+import { PARAMETERS, STAGE_PARAMETERS, visibleParameters, usesStageField, validateParameters } from "./parameters";
+import SensitivityHeatmap from "./SensitivityHeatmap";
+import SolverPanel from "./SolverPanel";
+import { solveImplied, SOLVABLE, UNKNOWNS, unknownLabel } from "./solver";
+import ScenarioManager from "./ScenarioManager";
+import ScenarioComparison from "./ScenarioComparison";
+import { loadScenarios, saveScenarios } from "./scenarios";
+import { toModelInputs, plainValues, GROWTH_TARGETS } from "./inputs";
+import { encodeQuery, decodeQuery } from "./urlState";
+import { configFromQuery, hostOriginFromQuery, embedModel, readHostMessage, isEmbedded, postToHost } from "./embed";
+import ExportMenu from "./ExportMenu";
+import PVBreakdown from "./PVBreakdown";
+import HoldingPeriodPanel from "./HoldingPeriodPanel";
+import ChartDataTable from "./ChartDataTable";
+import RequiredReturnBuilder from "./RequiredReturnBuilder";
+import FundamentalsPanel from "./FundamentalsPanel";
+import DividendHistoryPanel from "./DividendHistoryPanel";
+import MonteCarloPanel from "./MonteCarloPanel";
+import FCFEPanel from "./FCFEPanel";
+import { DEFAULT_FCFE, computeFCFE, withFCFE } from "./fcfe";
+import MarketPanel from "./MarketPanel";
+import TimingPanel from "./TimingPanel";
+import JustifiedMultiples from "./JustifiedMultiples";
+import { DEFAULT_MARKET } from "./multiples";
+import QuizPanel from "./QuizPanel";
+import PresenterMode from "./PresenterMode";
+import ReportView from "./ReportView";
+import { DEFAULT_BUILDER, RETURN_METHODS, deriveRequiredReturn } from "./requiredReturn";
+
+const URL_UPDATE_DELAY_MS = 300;
+const PRICE_ANNOUNCE_DELAY_MS = 1000;
+
+// Model selector entries with the colours of their checked state
+const MODEL_OPTIONS = [
+  ["all", "bg-gray-50 text-gray-700"],
+  ["constant", "bg-blue-50 text-blue-700"],
+  ["growth", "bg-green-50 text-green-700"],
+  ["changing", "bg-purple-50 text-purple-700"],
+  ["hmodel", "bg-orange-50 text-orange-700"],
+];
+
+const STATUS_STYLES = {
+  converged: "bg-green-50 border-green-200 text-green-800",
+  multiple: "bg-amber-50 border-amber-200 text-amber-800",
+  nearest: "bg-amber-50 border-amber-200 text-amber-800",
+  "no-solution": "bg-red-50 border-red-200 text-red-800",
+  invalid: "bg-red-50 border-red-200 text-red-800",
 };
 
-// Model configurations
-const MODEL_CONFIG = {
-  constant: {
-    name: "Constant Dividend Model",
-    color: "#2563eb",
-    dataKey: "constDiv",
-    description: "Assumes dividends remain constant forever.",
-    formula: "P = D₀ ÷ r"
-  },
-  growth: {
-    name: "Constant Growth Model", 
-    color: "#16a34a",
-    dataKey: "constGrow",
-    description: "Assumes constant dividend growth rate forever.",
-    formula: "P = D₁ ÷ (r - g)"
-  },
-  changing: {
-    name: "Changing Growth Model",
-    color: "#9333ea", 
-    dataKey: "changingGrowth",
-    description: "Assumes high growth initially, then lower sustainable growth.",
-    formula: "PV high growth + Terminal value"
-  }
-};
+const fmtUnknown = (fmt, unknown, value) => UNKNOWNS[unknown].percent
+  ? fmt.percent(value * 100, 3)
+  : fmt.number(value, unknown === "years" && Number.isInteger(value) ? 0 : 3);
 
-function Card({ title, children, className = "" }) {
-  return (
-    <div className={`bg-white rounded-2xl shadow-md p-5 border border-gray-100 ${className}`}>
-      <h2 className="font-serif text-xl text-slate-800 mb-3">{title}</h2>
-      <div className="font-sans text-sm text-black/80">{children}</div>
-    </div>
-  );
-}
-
-function InfoIcon({ children, id }) {
-  const [showTooltip, setShowTooltip] = useState(false);
-  
+function SolutionSummary({ solution, model, unknown }) {
+  const { fmt, t } = useLocale();
   return (
-    <div className="relative inline-block ml-1">
-      <button
-        type="button"
-        className="w-4 h-4 rounded-full bg-gray-400 text-white text-xs font-bold hover:bg-gray-500 focus:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
-        onMouseEnter={() => setShowTooltip(true)}
-        onMouseLeave={() => setShowTooltip(false)}
-        onFocus={() => setShowTooltip(true)}
-        onBlur={() => setShowTooltip(false)}
-        aria-describedby={`${id}-tooltip`}
-        aria-label="More information"
-      >
-        ?
-      </button>
-      
-      {showTooltip && (
-        <div
-          id={`${id}-tooltip`}
-          role="tooltip"
-          className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded whitespace-nowrap z-10 max-w-xs"
-        >
-          {children}
-          <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-800"></div>
-        </div>
+    <div className={`p-4 rounded-lg border ${STATUS_STYLES[solution.status]}`} role="status">
+      <div className="text-xs uppercase tracking-wide mb-1">{t("results.implied", { unknown: t(unknownLabel(model, unknown)) })}</div>
+      <div className="text-2xl font-serif mb-1">
+        {isFinite(solution.value) ? fmtUnknown(fmt, unknown, solution.value) : t("results.noSolution")}
+      </div>
+      <div className="text-xs">{t(MODEL_CONFIG[model].name)} · {t(solution.message)}</div>
+      {solution.status === "multiple" && (
+        <div className="text-xs mt-1">{t("results.allSolutions", { roots: solution.roots.map((root) => fmtUnknown(fmt, unknown, root)).join(", ") })}</div>
       )}
     </div>
   );
 }
 
-function ValidationMessage({ errors }) {
-  if (!errors || Object.keys(errors).length === 0) return null;
-  
+function ReturnDerivation({ builder, derived }) {
+  const { t } = useLocale();
   return (
-    <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg" role="alert">
-      <h3 className="text-red-800 font-semibold text-sm mb-2">Please correct the following:</h3>
-      <ul className="text-red-800 text-sm space-y-1">
-        {Object.entries(errors).map(([field, error]) => (
-          <li key={field}>• {error}</li>
-        ))}
-      </ul>
+    <div className="p-3 rounded-lg border border-gray-200 bg-gray-50 text-xs text-gray-700">
+      <div className="font-semibold mb-1">{t("results.requiredReturn", { method: t(RETURN_METHODS[builder.method].name) })}</div>
+      <div className="font-mono">{t(derived.formula)}</div>
+      <div className="font-mono mt-1">{derived.working}</div>
     </div>
   );
 }
 
-const fmtUSD = (x) => new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(x);
-
-function buildDividendSeries({ D0 = 5, required = 0.1, gConst = 0.05, gShort = 0.05, gLong = 0.03, shortYears = 5 }) {
-  const horizonYears = 10;
-  
-  const errors = {};
-  if (gConst >= required) errors.gConst = "Growth rate must be less than required return";
-  if (gLong >= required) errors.gLong = "Long-term growth must be less than required return";
-  if (D0 <= 0) errors.D0 = "Dividend must be positive";
-  if (required <= 0) errors.required = "Required return must be positive";
-  
-  const priceNoGrowth = required > 0 ? D0 / required : NaN;
-  const priceConstantGrowth = (gConst < required && gConst >= 0) ? (D0 * (1 + gConst)) / (required - gConst) : NaN;
-  
-  let priceChangingGrowth = NaN;
-  if (gLong < required && gLong >= 0 && gShort >= 0) {
-    let pvHighGrowth = 0;
-    for (let t = 1; t <= shortYears; t++) {
-      const dividend = D0 * Math.pow(1 + gShort, t);
-      pvHighGrowth += dividend / Math.pow(1 + required, t);
-    }
-    
-    const terminalDividend = D0 * Math.pow(1 + gShort, shortYears) * (1 + gLong);
-    const terminalValue = terminalDividend / (required - gLong);
-    const pvTerminalValue = terminalValue / Math.pow(1 + required, shortYears);
-    
-    priceChangingGrowth = pvHighGrowth + pvTerminalValue;
-  }
-
-  const data = [
-    {
-      year: 0,
-      yearLabel: "0",
-      constDiv: -priceNoGrowth,
-      constGrow: isNaN(priceConstantGrowth) ? null : -priceConstantGrowth,
-      changingGrowth: isNaN(priceChangingGrowth) ? null : -priceChangingGrowth,
-    }
-  ];
-
-  for (let year = 1; year <= horizonYears; year++) {
-    const constDiv = D0;
-    const constGrow = isNaN(priceConstantGrowth) ? null : D0 * Math.pow(1 + gConst, year);
-    
-    let changingGrowthDiv = null;
-    if (!isNaN(priceChangingGrowth)) {
-      if (year <= shortYears) {
-        changingGrowthDiv = D0 * Math.pow(1 + gShort, year);
-      } else {
-        changingGrowthDiv = D0 * Math.pow(1 + gShort, shortYears) * Math.pow(1 + gLong, year - shortYears);
-      }
-    }
-
-    data.push({
-      year,
-      yearLabel: year.toString(),
-      constDiv,
-      constGrow,
-      changingGrowth: changingGrowthDiv,
-    });
-  }
-
-  return { data, priceNoGrowth, priceConstantGrowth, priceChangingGrowth, errors };
-}
-
-function ResultsSection({ results, selectedModel }) {
+// With fcfeResults the headline prices value FCFE and the dividend prices are shown beside them
+function ResultsSection({ results, fcfeResults, inputs, market, selectedModel, solution, solverModel, solverUnknown, returnBuilder, derivedReturn }) {
+  const { fmt, t } = useLocale();
   if (!results || !results.data) return null;
 
-  const getAllPrices = () => ({
-    constant: results.priceNoGrowth,
-    growth: results.priceConstantGrowth,
-    changing: results.priceChangingGrowth
+  const shown = fcfeResults ?? results;
+  const getAllPrices = (series = shown) => ({
+    constant: series.priceNoGrowth,
+    growth: series.priceConstantGrowth,
+    changing: series.priceChangingGrowth,
+    hmodel: series.priceHModel
   });
 
   const currentModel = selectedModel === "all" ? null : MODEL_CONFIG[selectedModel];
@@ -183,15 +116,29 @@ function ResultsSection({ results, selectedModel }) {
   const getCurrentPrice = () => {
     if (selectedModel === "all") return null;
     switch(selectedModel) {
-      case "constant": return results.priceNoGrowth;
-      case "growth": return results.priceConstantGrowth;
-      case "changing": return results.priceChangingGrowth;
+      case "constant": return shown.priceNoGrowth;
+      case "growth": return shown.priceConstantGrowth;
+      case "changing": return shown.priceChangingGrowth;
+      case "hmodel": return shown.priceHModel;
       default: return NaN;
     }
   };
 
+  const dividendPrice = (key) => {
+    const price = getAllPrices(results)[key];
+    return (
+      <div className="text-xs mt-1 text-gray-600">
+        {t("results.fcfeBeside", { price: isFinite(price) ? fmt.money(price) : t("results.invalid") })}
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-6">
+      {solution && <SolutionSummary solution={solution} model={solverModel} unknown={solverUnknown} />}
+
+      {derivedReturn && isFinite(derivedReturn.value) && <ReturnDerivation builder={returnBuilder} derived={derivedReturn} />}
+
       {selectedModel === "all" ? (
         <>
           {Object.entries(MODEL_CONFIG).map(([key, model]) => {
@@ -199,11 +146,12 @@ function ResultsSection({ results, selectedModel }) {
             return (
               <div key={key} className="p-4 rounded-lg border" style={{ backgroundColor: model.color + '20', borderColor: model.color }}>
                 <div className="text-3xl font-serif mb-2" style={{ color: model.color }}>
-                  {isFinite(price) ? fmtUSD(price) : "Invalid"}
+                  {isFinite(price) ? fmt.money(price) : t("results.invalid")}
                 </div>
                 <div className="text-sm text-gray-700">
-                  <div><strong>{model.name}</strong></div>
-                  <div className="text-xs mt-1">{model.formula}</div>
+                  <div><strong>{t(model.name)}</strong></div>
+                  <div className="text-xs mt-1">{t(model.formula)}</div>
+                  {fcfeResults && dividendPrice(key)}
                 </div>
               </div>
             );
@@ -213,25 +161,36 @@ function ResultsSection({ results, selectedModel }) {
         <>
           <div className="p-4 rounded-lg border" style={{ backgroundColor: currentModel.color + '20', borderColor: currentModel.color }}>
             <div className="text-3xl font-serif mb-2" style={{ color: currentModel.color }}>
-              {isFinite(getCurrentPrice()) ? fmtUSD(getCurrentPrice()) : "Invalid"}
+              {isFinite(getCurrentPrice()) ? fmt.money(getCurrentPrice()) : t("results.invalid")}
             </div>
             <div className="text-sm text-gray-700">
-              <div><strong>{currentModel.name}</strong></div>
-              <div className="text-xs mt-2">{currentModel.description}</div>
-              <div className="text-xs mt-2 font-mono bg-white p-2 rounded border">{currentModel.formula}</div>
+              <div><strong>{t(currentModel.name)}</strong></div>
+              {fcfeResults && dividendPrice(selectedModel)}
+              <div className="text-xs mt-2">{t(currentModel.description)}</div>
+              <div className="text-xs mt-2 font-mono bg-white p-2 rounded border">{t(currentModel.formula)}</div>
             </div>
           </div>
         </>
       )}
 
+      <div className="text-xs text-gray-600">
+        {t("results.convention", {
+          frequency: t(`results.convention.frequency.${shown.timing.frequency}`),
+          basis: t(`results.convention.${shown.timing.dividendBasis}`),
+          discounting: t(`results.convention.${shown.timing.midYear ? "mid" : "end"}`),
+        })}
+      </div>
+
+      <JustifiedMultiples inputs={inputs} market={market} />
+
       {/* Model Equations */}
       <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
-        <div className="font-semibold mb-3 text-sm">Model Equations</div>
+        <div className="font-semibold mb-3 text-sm">{t("results.equations")}</div>
         <div className="space-y-2">
           {Object.entries(MODEL_CONFIG).map(([key, model]) => (
             <div key={key} className="text-xs p-2 rounded border-l-4" style={{ borderColor: model.color, backgroundColor: model.color + '10' }}>
-              <div className="font-medium" style={{ color: model.color }}>{model.name}</div>
-              <div className="font-mono mt-1 text-gray-700">{model.formula}</div>
+              <div className="font-medium" style={{ color: model.color }}>{t(model.name)}</div>
+              <div className="font-mono mt-1 text-gray-700">{t(model.formula)}</div>
             </div>
           ))}
         </div>
@@ -240,22 +199,165 @@ function ResultsSection({ results, selectedModel }) {
   );
 }
 
-function DividendChart({ results, selectedModel, D0, gConst, gShort, gLong, shortYears }) {
+// Reads the new price to screen readers once the inputs stop changing, not on every keystroke
+function PriceAnnouncement({ text }) {
+  const [announced, setAnnounced] = useState(text);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setAnnounced(text), PRICE_ANNOUNCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  return <div className="sr-only" aria-live="polite" aria-atomic="true">{announced}</div>;
+}
+
+let stageId = 0;
+const newStage = (growth, years) => ({ id: ++stageId, growth, years });
+
+// Editable growth schedule for the changing model. Rates are in percent; the last row is the
+// perpetual terminal stage, so its length is not used. The H-model reads only the rates, so the
+// lengths are hidden for it. errors is keyed as validateParameters keys stage fields. A locked
+// table (set by an embedding host) is read-only.
+function StageTable({ stages, onChange, errors, model, locked = false }) {
+  const { t } = useLocale();
+  const showYears = usesStageField("years", model);
+  const update = (id, field, value) => onChange(stages.map((stage) => stage.id === id ? { ...stage, [field]: value } : stage));
+  const remove = (id) => onChange(stages.filter((stage) => stage.id !== id));
+  const move = (index, offset) => {
+    const next = [...stages];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+  const addStage = () => {
+    const terminal = stages[stages.length - 1];
+    onChange([...stages.slice(0, -1), newStage(terminal ? terminal.growth : 0, 1), ...stages.slice(-1)]);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="font-medium text-gray-700 text-sm flex items-center mb-2">
+        {t("stages.title")}
+        <InfoIcon id="stages">{t("stages.help")}</InfoIcon>
+      </div>
+      <table className="text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500">
+            <th className="pr-3 font-medium">{t("stages.stage")}</th>
+            <th className="pr-3 font-medium">{t("stages.growth")}</th>
+            {showYears && <th className="pr-3 font-medium">{t("stages.years")}</th>}
+            <th className="font-medium"><span className="sr-only">{t("stages.actions")}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          {stages.map((stage, i) => {
+            const isTerminal = i === stages.length - 1;
+            return (
+              <tr key={stage.id}>
+                <td className="pr-3 py-1 text-gray-700">{i + 1}</td>
+                <td className="pr-3 py-1 align-top">
+                  <ParameterControl
+                    id={`stage${stage.id}-growth`}
+                    param={STAGE_PARAMETERS.growth}
+                    value={stage.growth}
+                    onChange={(value) => update(stage.id, "growth", value)}
+                    error={errors[`stages.${i}.growth`]}
+                    label={t(STAGE_PARAMETERS.growth.label, { n: i + 1 })}
+                    readOnly={locked}
+                  />
+                </td>
+                {showYears && (
+                  <td className="pr-3 py-1 align-top">
+                    {isTerminal ? (
+                      <span className="block py-2 text-gray-500">{t("stages.perpetual")}</span>
+                    ) : (
+                      <ParameterControl
+                        id={`stage${stage.id}-years`}
+                        param={STAGE_PARAMETERS.years}
+                        value={stage.years}
+                        onChange={(value) => update(stage.id, "years", value)}
+                        error={errors[`stages.${i}.years`]}
+                        label={t(STAGE_PARAMETERS.years.label, { n: i + 1 })}
+                        readOnly={locked}
+                      />
+                    )}
+                  </td>
+                )}
+                <td className="py-3 space-x-1 whitespace-nowrap align-top">
+                  <button type="button" className="px-2 py-1 text-xs border border-gray-200 rounded disabled:opacity-40" onClick={() => move(i, -1)} disabled={locked || i === 0} aria-label={t("stages.moveUp", { n: i + 1 })}>↑</button>
+                  <button type="button" className="px-2 py-1 text-xs border border-gray-200 rounded disabled:opacity-40" onClick={() => move(i, 1)} disabled={locked || isTerminal} aria-label={t("stages.moveDown", { n: i + 1 })}>↓</button>
+                  <button type="button" className="px-2 py-1 text-xs border border-gray-200 rounded disabled:opacity-40" onClick={() => remove(stage.id)} disabled={locked || stages.length === 1} aria-label={t("stages.remove", { n: i + 1 })}>✕</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {errors.stages && <p className="text-xs text-red-700 mt-1" role="alert">{t(errors.stages)}</p>}
+      {!locked && (
+        <button type="button" className="mt-2 px-3 py-1 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50" onClick={addStage}>
+          {t("stages.add")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// basis is "dividends" or "fcfe"; the bars are whichever cash flow results holds
+function DividendChart({ results, selectedModel, horizon, values, basis = "dividends" }) {
+  const { fmt, t } = useLocale();
+  const chartRef = useRef(null);
+  const [showTable, setShowTable] = useState(false);
+  const [showPrice, setShowPrice] = useState(true);
+  // Bar focused with the arrow keys, as an index into results.data
+  const [activeIndex, setActiveIndex] = useState(null);
+  const id = useId();
+
   if (!results || !results.data || results.data.length === 0) {
     return (
       <div className="h-96 flex items-center justify-center bg-gray-50 rounded-lg">
-        <p className="text-gray-500">Adjust parameters to see cash flows</p>
+        <p className="text-gray-500">{t("chart.empty")}</p>
       </div>
     );
   }
 
   const currentModel = selectedModel === "all" ? null : MODEL_CONFIG[selectedModel];
+  const flowLabel = t(`chart.flow.${basis}`);
+  // Rows are payment periods; results.horizon counts them
+  const { frequency } = results.timing;
+  const title = t("chart.title", { name: selectedModel === "all" ? t("chart.allModels") : t(currentModel.name) });
+
+  const shownModels = currentModel ? [currentModel] : Object.values(MODEL_CONFIG);
+
+  // The series in the order the chart stacks them, shared by the data table and the announcements
+  const columns = shownModels.flatMap((model) => [
+    { key: model.dataKey, label: t(model.name) },
+    ...(model.terminalKey ? [{ key: model.terminalKey, label: t("chart.terminalValue", { name: t(model.name) }) }] : []),
+    ...(showPrice ? [{ key: model.priceKey, label: t("chart.projectedPrice", { name: t(model.name) }) }] : []),
+  ]);
+
+  const active = activeIndex !== null && activeIndex < results.data.length ? results.data[activeIndex] : null;
+  const describePoint = (row) => t("chart.point", {
+    year: row.year === 0 ? t("chart.initialInvestment") : t(`chart.period.${frequency}`, { period: row.yearLabel }),
+    values: columns
+      .filter((column) => row[column.key] !== null && row[column.key] !== undefined)
+      .map((column) => `${column.label} ${fmt.moneyLabel(row[column.key])}`)
+      .join(", "),
+  });
+
+  const navigate = (e) => {
+    const last = results.data.length - 1;
+    const from = active ? activeIndex : -1;
+    const next = { ArrowRight: Math.min(from + 1, last), ArrowLeft: Math.max(from - 1, 0), Home: 0, End: last }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    setActiveIndex(next);
+  };
 
   return (
     <>
       {/* Debug info */}
       <div className="mb-2 text-xs text-gray-500">
-        Data points: {results.data.length} | Selected: {selectedModel}
+        {t("chart.debug", { count: results.data.length, model: selectedModel })}
       </div>
 
       {/* Model Toggle */}
@@ -266,302 +368,556 @@ function DividendChart({ results, selectedModel, D0, gConst, gShort, gLong, shor
             onClick={() => {}}
             disabled
           >
-            Model: {selectedModel === "all" ? "All" : currentModel?.name.split(' ')[0]}
+            {t("chart.model", { name: selectedModel === "all" ? t("model.all") : t(`model.${selectedModel}`) })}
           </button>
         </div>
+        <ExportMenu results={results} values={values} chartRef={chartRef} />
       </div>
 
       {/* Description */}
       <p className="text-sm text-gray-600 mb-4">
         {selectedModel === "all" ? 
-          "Showing: All dividend models for comparison" :
-          `Showing: ${currentModel.name} - ${currentModel.description}`
+          t("chart.showingAll", { flow: flowLabel }) :
+          t("chart.showingModel", { name: t(currentModel.name), description: t(currentModel.description) })
         }
+        {basis === "fcfe" && t("chart.fcfeNote")}
       </p>
 
+      {results.horizon > horizon * frequency && (
+        <p className="text-xs text-gray-500 mb-2">
+          {t("chart.horizonExtended", { years: results.horizon / frequency })}
+        </p>
+      )}
+
       {/* Chart */}
-      <div style={{ width: '100%', height: '450px' }} role="img" aria-labelledby="chart-title" aria-describedby="chart-description">
+      <div
+        ref={chartRef}
+        style={{ width: '100%', height: '450px' }}
+        role="group"
+        aria-roledescription={t("chart.roleDescription")}
+        aria-labelledby={`${id}-title`}
+        aria-describedby={`${id}-description`}
+        tabIndex={0}
+        onKeyDown={navigate}
+        onBlur={() => setActiveIndex(null)}
+        className="rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+      >
         <div className="sr-only">
-          <h3 id="chart-title">{selectedModel === "all" ? "All Models" : currentModel.name} Cash Flow Chart</h3>
-          <p id="chart-description">
-            Bar chart showing dividend cash flows over 10 years. Year 0 shows the negative initial investment cost.
+          <h3 id={`${id}-title`}>{title}</h3>
+          <p id={`${id}-description`}>
+            {t("chart.description", { flow: flowLabel, years: results.horizon / frequency })}
+            {currentModel?.terminalKey && t("chart.descriptionTerminal")}
+            {showPrice && t("chart.descriptionPrice")}
+            {" "}{t("chart.keyboardHelp")}
           </p>
         </div>
 
         <ResponsiveContainer width="100%" height={450}>
-          <BarChart data={results.data} margin={{ top: 60, right: 30, left: 50, bottom: 60 }}>
+          <ComposedChart data={results.data} margin={{ top: 60, right: 30, left: 50, bottom: 60 }} accessibilityLayer={false}>
             <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="yearLabel" label={{ value: 'Years', position: 'insideBottom', offset: -5 }} />
-            <YAxis tickFormatter={fmtUSD} />
+            <XAxis dataKey="yearLabel" label={{ value: t(`chart.periods.${frequency}`), position: 'insideBottom', offset: -5 }} />
+            <YAxis tickFormatter={fmt.money} />
             <Tooltip 
               formatter={(value, name) => {
-                const modelName = Object.values(MODEL_CONFIG).find(m => m.dataKey === name)?.name || name;
-                return [value ? fmtUSD(Math.abs(value)) : 'Invalid', modelName];
+                const model = Object.values(MODEL_CONFIG).find(m => m.dataKey === name);
+                return [value ? fmt.money(Math.abs(value)) : t("results.invalid"), model ? t(model.name) : name];
               }}
-              labelFormatter={(label) => label === "0" ? "Initial Investment" : `Year ${label}`}
+              labelFormatter={(label) => label === "0" ? t("chart.initialInvestment") : t(`chart.period.${frequency}`, { period: label })}
             />
+            {active && (
+              <ReferenceArea x1={active.yearLabel} x2={active.yearLabel} fill="#1d4ed8" fillOpacity={0.08} stroke="#1d4ed8" strokeWidth={2} />
+            )}
             
             {selectedModel === "all" ? 
-              Object.values(MODEL_CONFIG).map(model => (
+              Object.values(MODEL_CONFIG).flatMap(model => [
                 <Bar 
                   key={model.dataKey}
                   dataKey={model.dataKey} 
-                  name={model.name} 
+                  name={t(model.name)} 
                   fill={model.color}
-                />
-              )) :
-              <Bar dataKey={currentModel.dataKey} name={currentModel.name} fill={currentModel.color}>
-                <LabelList 
-                  dataKey={currentModel.dataKey}
-                  content={(props) => {
-                    const { x, width, value, y } = props;
-                    if (value === null || Math.abs(value) < 0.01) return null;
-                    
-                    const isNegative = value < 0;
-                    const labelY = isNegative ? y + 30 : y - 10;
-                    
-                    return (
-                      <text 
-                        x={x + width/2} 
-                        y={labelY}
-                        textAnchor="middle"
-                        fill={currentModel.color}
-                        fontSize="11"
-                        fontWeight="bold"
-                      >
-                        {isNegative ? `(${fmtUSD(Math.abs(value))})` : fmtUSD(value)}
-                      </text>
-                    );
-                  }}
-                />
-              </Bar>
+                  stackId={model.dataKey}
+                />,
+                model.terminalKey && (
+                  <Bar
+                    key={model.terminalKey}
+                    dataKey={model.terminalKey}
+                    name={t("chart.terminalValue", { name: t(model.name) })}
+                    fill={model.color}
+                    fillOpacity={0.35}
+                    stroke={model.color}
+                    strokeDasharray="4 2"
+                    stackId={model.dataKey}
+                  />
+                ),
+              ]) :
+              [
+                <Bar key={currentModel.dataKey} dataKey={currentModel.dataKey} name={t(currentModel.name)} fill={currentModel.color} stackId="selected">
+                  <LabelList 
+                    dataKey={currentModel.dataKey}
+                    content={(props) => {
+                      const { x, width, value, y } = props;
+                      if (value === null || Math.abs(value) < 0.01) return null;
+                      
+                      const isNegative = value < 0;
+                      const labelY = isNegative ? y + 30 : y - 10;
+                      
+                      return (
+                        <text 
+                          x={x + width/2} 
+                          y={labelY}
+                          textAnchor="middle"
+                          fill={currentModel.color}
+                          fontSize="11"
+                          fontWeight="bold"
+                        >
+                          {fmt.moneyLabel(value)}
+                        </text>
+                      );
+                    }}
+                  />
+                </Bar>,
+                currentModel.terminalKey && (
+                  <Bar
+                    key={currentModel.terminalKey}
+                    dataKey={currentModel.terminalKey}
+                    name={t("chart.terminalValue", { name: t(currentModel.name) })}
+                    fill={currentModel.color}
+                    fillOpacity={0.35}
+                    stroke={currentModel.color}
+                    strokeDasharray="4 2"
+                    stackId="selected"
+                  >
+                    <LabelList
+                      dataKey={currentModel.terminalKey}
+                      content={(props) => {
+                        const { x, width, value, y, index } = props;
+                        if (value === null || value === undefined) return null;
+
+                        return (
+                          <text
+                            x={x + width/2}
+                            y={y - 10}
+                            textAnchor="middle"
+                            fill={currentModel.color}
+                            fontSize="11"
+                            fontWeight="bold"
+                          >
+                            {`P${toSubscript(results.data[index].year)} = ${fmt.money(value)}`}
+                          </text>
+                        );
+                      }}
+                    />
+                  </Bar>
+                ),
+              ]
             }
-          </BarChart>
+
+            {showPrice && shownModels.map((model) => (
+              <Line
+                key={model.priceKey}
+                type="linear"
+                dataKey={model.priceKey}
+                name={t("chart.projectedPrice", { name: t(model.name) })}
+                stroke={model.color}
+                strokeWidth={2}
+                strokeDasharray="6 3"
+                dot={false}
+              />
+            ))}
+          </ComposedChart>
         </ResponsiveContainer>
       </div>
 
+      <p className="mt-2 min-h-4 text-xs text-gray-700" aria-live="polite">
+        {active && describePoint(active)}
+      </p>
+
+      <label className="mt-2 mr-4 inline-flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={showPrice} onChange={(e) => setShowPrice(e.target.checked)} />
+        {t("chart.showPrice")}
+      </label>
+      <button
+        type="button"
+        className="mt-2 px-3 py-1 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50"
+        aria-expanded={showTable}
+        aria-controls={`${id}-table`}
+        onClick={() => setShowTable(!showTable)}
+      >
+        {t(showTable ? "chart.hideTable" : "chart.showTable")}
+      </button>
+      {showTable && <ChartDataTable id={`${id}-table`} caption={title} periodLabel={t(`chart.periodColumn.${frequency}`)} columns={columns} data={results.data} />}
+
       {/* Educational note */}
       <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
-        <strong>Dividend Discount Models:</strong> Value stocks based on present value of expected future dividend payments.
+        {basis === "fcfe" ? (
+          <><strong>{t("chart.noteFcfeTitle")}</strong> {t("chart.noteFcfe")}</>
+        ) : (
+          <><strong>{t("chart.noteDividendsTitle")}</strong> {t("chart.noteDividends")}</>
+        )}
       </div>
     </>
   );
 }
 
 export default function App() {
-  const [D0, setD0] = useState(5);
-  const [req, setReq] = useState(10);
-  const [gConst, setGConst] = useState(5);
-  const [gShort, setGShort] = useState(5);
-  const [gLong, setGLong] = useState(3);
-  const [shortYears, setShortYears] = useState(5);
-  const [selectedModel, setSelectedModel] = useState("constant");
-
-  const results = useMemo(() => {
-    return buildDividendSeries({
-      D0,
-      required: req / 100,
-      gConst: gConst / 100,
-      gShort: gShort / 100,
-      gLong: gLong / 100,
-      shortYears
-    });
-  }, [D0, req, gConst, gShort, gLong, shortYears]);
-
-  const hasErrors = Object.keys(results.errors).length > 0;
+  // An embedding host's ?embed= config (see embed.js) takes precedence over the shared-link inputs
+  const [initial] = useState(() => {
+    const state = decodeQuery(window.location.search);
+    const embed = configFromQuery(window.location.search);
+    return {
+      ...state,
+      values: { ...state.values, ...embed.config.values },
+      selectedModel: embedModel(embed.config, state.selectedModel),
+      embed,
+      hostOrigin: hostOriginFromQuery(window.location.search),
+    };
+  });
+  const { hostOrigin } = initial;
+  const [D0, setD0] = useState(initial.values.D0);
+  const [req, setReq] = useState(initial.values.req);
+  const [gConst, setGConst] = useState(initial.values.gConst);
+  const [stages, setStages] = useState(() => initial.values.stages.map((stage) => newStage(stage.growth, stage.years)));
+  const [halfLife, setHalfLife] = useState(initial.values.halfLife);
+  const [horizon, setHorizon] = useState(initial.values.horizon);
+  const setters = { D0: setD0, req: setReq, gConst: setGConst, halfLife: setHalfLife, horizon: setHorizon };
+  const [solver, setSolver] = useState({ enabled: false, price: 50, unknown: "required", model: "growth" });
+  const [selectedModel, setSelectedModel] = useState(initial.selectedModel);
+  const [urlNotice, setUrlNotice] = useState(initial.invalid);
+  const [embed, setEmbed] = useState(initial.embed.config);
+  const [returnBuilder, setReturnBuilder] = useState(DEFAULT_BUILDER);
+  const [fcfe, setFcfe] = useState(DEFAULT_FCFE);
+  const [market, setMarket] = useState(DEFAULT_MARKET);
+  const [timing, setTiming] = useState(DEFAULT_TIMING);
+  const [mode, setMode] = useState("calculator");
+  const [localeSettings, setLocaleSettings] = useState(() => loadLocale());
+  const [scenarios, setScenarios] = useState(() => loadScenarios());
+  const [compareIds, setCompareIds] = useState([]);
+
+  const locale = useMemo(() => localeContextValue(localeSettings), [localeSettings]);
+  const { fmt, t } = locale;
+
+  const updateLocale = (next) => {
+    setLocaleSettings(next);
+    saveLocale(next);
+  };
+
+  const values = useMemo(() => ({ D0, req, gConst, stages, halfLife, horizon }), [D0, req, gConst, stages, halfLife, horizon]);
+  const inputs = useMemo(() => ({ ...toModelInputs(values), ...timing }), [values, timing]);
+
+  // Keep the address bar shareable without adding a history entry per keystroke. Embedded, the
+  // address (and its ?embed= config) belongs to the host, which is sent the inputs instead.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (isEmbedded()) postToHost("inputs", { values: plainValues(values), model: selectedModel }, hostOrigin);
+      else window.history.replaceState(null, "", encodeQuery(values, selectedModel) + window.location.hash);
+    }, URL_UPDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [values, selectedModel, hostOrigin]);
+
+  const locked = (field) => embed.lockedFields.includes(field);
+
+  // Fields the host has locked or hidden keep their values: only the host sets them
+  const fixed = (field) => locked(field) || embed.hiddenFields.includes(field);
+  const growthField = (target) => target === "gConst" ? "gConst" : "stages";
+  const growthTargets = GROWTH_TARGETS.filter((target) => !fixed(growthField(target)));
+
+  const applyValues = (v) => {
+    if (!fixed("req")) setReturnBuilder((builder) => ({ ...builder, enabled: false }));
+    for (const [field, set] of Object.entries(setters)) {
+      if (!fixed(field)) set(v[field]);
+    }
+    if (!fixed("stages")) setStages(v.stages.map((stage) => newStage(stage.growth, stage.years)));
+  };
+
+  // Embedding host: take configs from the parent page at the ?origin= it named and tell it we are ready
+  useEffect(() => {
+    if (!isEmbedded() || !hostOrigin) return;
+    const onMessage = (e) => {
+      if (e.source !== window.parent) return;
+      const message = readHostMessage(e.data, e.origin, hostOrigin);
+      if (!message) return;
+
+      const { config } = message;
+      if (config) {
+        const { values: v } = config;
+        const scalarSetters = { D0: setD0, req: setReq, gConst: setGConst, halfLife: setHalfLife, horizon: setHorizon };
+        for (const [field, set] of Object.entries(scalarSetters)) {
+          if (field in v) set(v[field]);
+        }
+        if ("req" in v) setReturnBuilder((builder) => ({ ...builder, enabled: false }));
+        if ("stages" in v) setStages(v.stages.map((stage) => newStage(stage.growth, stage.years)));
+        setEmbed(config);
+        setSelectedModel((current) => embedModel(config, current));
+      }
+      postToHost("config", { errors: message.errors }, hostOrigin);
+    };
+
+    window.addEventListener("message", onMessage);
+    postToHost("ready", { errors: initial.embed.errors }, hostOrigin);
+    return () => window.removeEventListener("message", onMessage);
+  }, [initial, hostOrigin]);
+
+  const derivedReturn = useMemo(() => returnBuilder.enabled ? deriveRequiredReturn(returnBuilder, fmt) : null, [returnBuilder, fmt]);
+
+  // While the builder is on, it owns the required return
+  const updateReturnBuilder = (next) => {
+    setReturnBuilder(next);
+    if (!next.enabled) return;
+    const { value } = deriveRequiredReturn(next);
+    if (isFinite(value)) setReq(Math.round(value * 1e6) / 1e6);
+  };
+
+  // target is "gConst", "firstStage" or "terminalStage"; growth is in percent
+  const applyGrowth = (target, growth) => {
+    if (fixed(growthField(target))) return;
+    const rounded = Math.round(growth * 1e4) / 1e4;
+    if (target === "gConst") {
+      setGConst(rounded);
+      return;
+    }
+    setStages((current) => current.map((stage, i) => {
+      const isTarget = target === "firstStage" ? i === 0 : i === current.length - 1;
+      return isTarget ? { ...stage, growth: rounded } : stage;
+    }));
+  };
+
+  // A D0 estimated from history is the dividend just paid, so the entry basis follows it
+  const applyDividend = (amount) => {
+    if (fixed("D0")) return;
+    setD0(Math.round(amount * 1e4) / 1e4);
+    setTiming((current) => ({ ...current, dividendBasis: "last" }));
+  };
+
+  const updateScenarios = (next) => {
+    setScenarios(next);
+    saveScenarios(next);
+  };
+
+  const comparedScenarios = compareIds.map((id) => scenarios.find((s) => s.id === id)).filter(Boolean);
+
+  const results = useMemo(() => buildDividendSeries(inputs), [inputs]);
+
+  // FCFE mode values the same growth structures with FCFE₀ in place of D₀. Without a valid FCFE₀
+  // it stays on FCFE with no prices, and its errors hold back the results like the inputs' do.
+  const fcfeEstimate = useMemo(() => fcfe.enabled ? computeFCFE(fcfe) : null, [fcfe]);
+  const fcfeErrors = fcfeEstimate?.errors ?? {};
+
+  // The inputs behind the headline prices, for the panels that re-price them
+  const pricedInputs = useMemo(() => fcfeEstimate ? withFCFE(inputs, fcfeEstimate.value) : inputs, [fcfeEstimate, inputs]);
+  const fcfeResults = useMemo(
+    () => fcfeEstimate ? { ...buildDividendSeries(pricedInputs), fcfe0: fcfeEstimate.value } : null,
+    [fcfeEstimate, pricedInputs]
+  );
+
+  const solverModel = selectedModel === "all" ? solver.model : selectedModel;
+  const solverUnknown = SOLVABLE[solverModel].includes(solver.unknown) ? solver.unknown : SOLVABLE[solverModel][0];
+  const solution = useMemo(() => {
+    if (!solver.enabled) return null;
+    return solveImplied({ model: solverModel, inputs: pricedInputs, unknown: solverUnknown, price: solver.price });
+  }, [solver.enabled, solver.price, solverModel, solverUnknown, pricedInputs]);
+
+  // Only the inputs the selected model reads can hold back the results
+  const fieldErrors = useMemo(() => validateParameters(values, selectedModel), [values, selectedModel]);
+  const hasErrors = Object.keys(fieldErrors).length > 0 || Object.keys(fcfeErrors).length > 0;
+
+  const pricePayload = useMemo(() => ({
+    model: selectedModel,
+    prices: Object.fromEntries(Object.entries((fcfeResults ?? results).prices)
+      .map(([key, price]) => [key, !hasErrors && isFinite(price) ? price : null])),
+    valid: !hasErrors,
+    basis: fcfeResults ? "fcfe" : "dividends",
+  }), [results, fcfeResults, selectedModel, hasErrors]);
+
+  useEffect(() => {
+    if (!isEmbedded()) return;
+    const timer = setTimeout(() => postToHost("price", pricePayload, hostOrigin), URL_UPDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [pricePayload, hostOrigin]);
+
+  const announcedPrices = (fcfeResults ?? results).prices;
+  const priceAnnouncement = hasErrors
+    ? t("results.announceErrors")
+    : (selectedModel === "all" ? Object.keys(MODEL_CONFIG) : [selectedModel])
+      .map((key) => t("results.announcePrice", {
+        name: t(MODEL_CONFIG[key].name),
+        price: isFinite(announcedPrices[key]) ? fmt.money(announcedPrices[key]) : t("results.invalid"),
+      }))
+      .join(" ");
 
   return (
-    <div className="min-h-screen bg-gray-50 p-6 font-sans">
+    <LocaleContext.Provider value={locale}>
+    <div className="min-h-screen bg-gray-50 p-6 font-sans print:min-h-0 print:bg-white print:p-0">
       <main className="max-w-7xl mx-auto space-y-6">
 
-        {hasErrors && (
-          <div className="bg-red-50 border border-red-200 rounded-lg p-4" role="alert">
-            <h3 className="text-red-800 font-medium mb-2">Input Validation Errors:</h3>
-            <ul className="text-red-700 text-sm list-disc list-inside space-y-1">
-              {Object.values(results.errors).map((error, i) => (
-                <li key={i}>{error}</li>
-              ))}
-            </ul>
-          </div>
-        )}
+        <div className="flex flex-wrap items-center justify-between gap-4 print:hidden" inert={mode === "present"}>
+          <RadioGroup
+            label={t("app.mode")}
+            className="bg-white"
+            value={mode}
+            onChange={setMode}
+            options={["calculator", "practice", "present", "report"].map((value) => ({ value, activeClass: "bg-blue-50 text-blue-700", label: t(`app.mode.${value}`) }))}
+          />
+          <LocaleSelector settings={localeSettings} onChange={updateLocale} />
+        </div>
 
-        {/* RESULTS AND CHART */}
-        {hasErrors ? (
-          <div className="lg:col-span-5">
-            <Card title="Validation Required">
-              <p className="text-gray-600">Please correct the input errors above to see results and visualizations.</p>
-            </Card>
-          </div>
+        {mode === "present" ? (
+          <PresenterMode inputs={pricedInputs} selectedModel={selectedModel} onExit={() => setMode("calculator")} />
+        ) : mode === "practice" ? (
+          <Card title={t("card.practice")}>
+            <QuizPanel />
+          </Card>
+        ) : mode === "report" ? (
+          <ReportView
+            values={values}
+            inputs={pricedInputs}
+            results={fcfeResults ?? results}
+            basis={fcfeResults ? "fcfe" : "dividends"}
+            selectedModel={selectedModel}
+            fieldErrors={fieldErrors}
+            fcfeErrors={fcfeErrors}
+          />
         ) : (
           <>
-            {/* MOBILE */}
-            <div className="lg:hidden space-y-6">
-              <Card title="Results">
-                <ResultsSection results={results} selectedModel={selectedModel} />
-              </Card>
-              <Card title="Equity Cash Flows">
-                <DividendChart results={results} selectedModel={selectedModel} D0={D0} gConst={gConst} gShort={gShort} gLong={gLong} shortYears={shortYears} />
-              </Card>
-            </div>
-
-            {/* DESKTOP */}
-            <div className="hidden lg:grid lg:grid-cols-5 gap-6">
-              <div className="lg:col-span-1">
-                <Card title="Results">
-                  <ResultsSection results={results} selectedModel={selectedModel} />
-                </Card>
+            <PriceAnnouncement text={priceAnnouncement} />
+
+            {urlNotice.length > 0 && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex items-start justify-between gap-4" role="status">
+                <p className="text-amber-800 text-sm">
+                  {t("app.urlNotice", { fields: urlNotice.join(", ") })}
+                </p>
+                <button type="button" className="text-amber-800 text-sm underline" onClick={() => setUrlNotice([])}>
+                  {t("app.dismiss")}
+                </button>
               </div>
-              <div className="lg:col-span-4">
-                <Card title="Equity Cash Flows">
-                  <DividendChart results={results} selectedModel={selectedModel} D0={D0} gConst={gConst} gShort={gShort} gLong={gLong} shortYears={shortYears} />
+            )}
+
+            {/* RESULTS AND CHART */}
+            {hasErrors ? (
+              <div className="lg:col-span-5">
+                <Card title={t("app.validationRequired")}>
+                  <p className="text-gray-600">{t("app.validationRequiredBody")}</p>
                 </Card>
               </div>
-            </div>
-          </>
-        )}
-
-        {/* INPUTS */}
-        <Card title="Dividend Discount Model Calculator">
-          {/* Model Selector */}
-          <div className="mb-4 inline-flex rounded-lg overflow-hidden border border-gray-200">
-            <button 
-              className={`px-3 py-2 text-sm ${selectedModel === "all" ? "bg-gray-50 text-gray-700 font-semibold" : "bg-white text-gray-600"}`} 
-              onClick={() => setSelectedModel("all")}
-            >
-              All
-            </button>
-            <button 
-              className={`px-3 py-2 text-sm border-l ${selectedModel === "constant" ? "bg-blue-50 text-blue-700 font-semibold" : "bg-white text-gray-600"}`} 
-              onClick={() => setSelectedModel("constant")}
-            >
-              Constant
-            </button>
-            <button 
-              className={`px-3 py-2 text-sm border-l ${selectedModel === "growth" ? "bg-green-50 text-green-700 font-semibold" : "bg-white text-gray-600"}`} 
-              onClick={() => setSelectedModel("growth")}
-            >
-              Growth
-            </button>
-            <button 
-              className={`px-3 py-2 text-sm border-l ${selectedModel === "changing" ? "bg-purple-50 text-purple-700 font-semibold" : "bg-white text-gray-600"}`} 
-              onClick={() => setSelectedModel("changing")}
-            >
-              Changing
-            </button>
-          </div>
+            ) : (
+              <>
+                {/* MOBILE */}
+                <div className="lg:hidden space-y-6">
+                  <Card title={t("card.results")}>
+                    <ResultsSection results={results} fcfeResults={fcfeResults} inputs={inputs} market={market} selectedModel={selectedModel} solution={solution} solverModel={solverModel} solverUnknown={solverUnknown} returnBuilder={returnBuilder} derivedReturn={derivedReturn} />
+                  </Card>
+                  <Card title={t("card.cashFlows")}>
+                    <DividendChart results={fcfeResults ?? results} basis={fcfeResults ? "fcfe" : "dividends"} selectedModel={selectedModel} horizon={horizon} values={values} />
+                  </Card>
+                </div>
 
-          <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
-            
-            <div className="flex items-center gap-2">
-              <label htmlFor="D0" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Current Dividend
-                <span className="text-red-500 ml-1">*</span>
-                <InfoIcon id="D0">Most recent dividend</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="D0"
-                  type="number"
-                  step="0.1"
-                  value={D0}
-                  onChange={(e) => setD0(+e.target.value)}
-                  className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+                {/* DESKTOP */}
+                <div className="hidden lg:grid lg:grid-cols-5 gap-6">
+                  <div className="lg:col-span-1">
+                    <Card title={t("card.results")}>
+                      <ResultsSection results={results} fcfeResults={fcfeResults} inputs={inputs} market={market} selectedModel={selectedModel} solution={solution} solverModel={solverModel} solverUnknown={solverUnknown} returnBuilder={returnBuilder} derivedReturn={derivedReturn} />
+                    </Card>
+                  </div>
+                  <div className="lg:col-span-4">
+                    <Card title={t("card.cashFlows")}>
+                      <DividendChart results={fcfeResults ?? results} basis={fcfeResults ? "fcfe" : "dividends"} selectedModel={selectedModel} horizon={horizon} values={values} />
+                    </Card>
+                  </div>
+                </div>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="req" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Required Return (%)
-                <span className="text-red-500 ml-1">*</span>
-                <InfoIcon id="req">Investor's required return</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="req"
-                  type="number"
-                  step="0.1"
-                  value={req}
-                  onChange={(e) => setReq(+e.target.value)}
-                  className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+                <Card title={t("card.pvBreakdown")}>
+                  <PVBreakdown inputs={pricedInputs} selectedModel={selectedModel} />
+                </Card>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="gConst" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Constant Growth (%)
-                <InfoIcon id="gConst">Constant dividend growth rate</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="gConst"
-                  type="number"
-                  step="0.1"
-                  value={gConst}
-                  onChange={(e) => setGConst(+e.target.value)}
-                  className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+                <Card title={t("card.holdingPeriod")}>
+                  <HoldingPeriodPanel results={fcfeResults ?? results} basis={fcfeResults ? "fcfe" : "dividends"} selectedModel={selectedModel} />
+                </Card>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="gShort" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Short-term Growth (%)
-                <InfoIcon id="gShort">Initial high growth rate</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="gShort"
-                  type="number"
-                  step="0.1"
-                  value={gShort}
-                  onChange={(e) => setGShort(+e.target.value)}
-                  className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+                <Card title={t("card.sensitivity")}>
+                  <SensitivityHeatmap inputs={pricedInputs} selectedModel={selectedModel} />
+                </Card>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="gLong" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Long-term Growth (%)
-                <InfoIcon id="gLong">Sustainable growth rate</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="gLong"
-                  type="number"
-                  step="0.1"
-                  value={gLong}
-                  onChange={(e) => setGLong(+e.target.value)}
-                  className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+                <Card title={t("card.simulation")}>
+                  <MonteCarloPanel inputs={pricedInputs} selectedModel={selectedModel} />
+                </Card>
+              </>
+            )}
+
+            {/* INPUTS */}
+            {embed.showInputs && (
+              <Card title={t("card.calculator")}>
+                {/* Model Selector */}
+                {embed.models.length > 1 && (
+                  <RadioGroup
+                    label={t("model.selector")}
+                    className="mb-4"
+                    value={selectedModel}
+                    onChange={setSelectedModel}
+                    options={MODEL_OPTIONS
+                      .filter(([value]) => embed.models.includes(value))
+                      .map(([value, activeClass]) => ({ value, activeClass, label: t(`model.${value}`) }))}
+                  />
+                )}
+
+                <TimingPanel timing={timing} onChange={setTiming} />
+
+                {!fixed("req") && <RequiredReturnBuilder builder={returnBuilder} onChange={updateReturnBuilder} />}
+
+                <FundamentalsPanel req={req} targets={growthTargets} onApply={applyGrowth} />
+
+                <DividendHistoryPanel req={req} targets={growthTargets} onApplyGrowth={applyGrowth} onApplyD0={fixed("D0") ? null : applyDividend} />
+
+                <FCFEPanel fcfe={fcfe} onChange={setFcfe} />
+
+                <MarketPanel market={market} onChange={setMarket} />
+
+                <SolverPanel solver={solver} onChange={setSolver} selectedModel={selectedModel} model={solverModel} unknown={solverUnknown} />
+
+                <div className="flex flex-wrap items-start gap-x-6 gap-y-4">
+                  {visibleParameters(selectedModel).filter((name) => !embed.hiddenFields.includes(name)).map((name) => (
+                    <ParameterField
+                      key={name}
+                      name={name}
+                      param={name === "D0" && timing.dividendBasis === "next" ? { ...PARAMETERS.D0, label: "input.D1", help: "input.D1.help" } : PARAMETERS[name]}
+                      value={values[name]}
+                      onChange={setters[name]}
+                      error={fieldErrors[name]}
+                      readOnly={locked(name) || (name === "req" && returnBuilder.enabled)}
+                    />
+                  ))}
+                </div>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="shortYears" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                High Growth Years
-                <InfoIcon id="shortYears">Years of high growth</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="shortYears"
-                  type="number"
-                  step="1"
-                  value={shortYears}
-                  onChange={(e) => setShortYears(+e.target.value)}
-                  className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+                {usesStageField("growth", selectedModel) && !embed.hiddenFields.includes("stages") && (
+                  <StageTable stages={stages} onChange={setStages} errors={fieldErrors} model={selectedModel} locked={locked("stages")} />
+                )}
+              </Card>
+            )}
+
+            {/* SCENARIOS */}
+            <Card title={t("card.scenarios")}>
+              <ScenarioManager
+                scenarios={scenarios}
+                onChange={updateScenarios}
+                onLoad={(scenario) => {
+                  applyValues(scenario.values);
+                  setTiming(scenario.timing);
+                }}
+                currentValues={values}
+                currentTiming={timing}
+                compareIds={compareIds}
+                onCompareChange={setCompareIds}
+              />
+            </Card>
 
-          </div>
-          
-          <ValidationMessage errors={results.errors} />
-        </Card>
+            {comparedScenarios.length >= 2 && (
+              <Card title={t("card.comparison")}>
+                <ScenarioComparison scenarios={comparedScenarios} selectedModel={selectedModel} />
+              </Card>
+            )}
+          </>
+        )}
 
       </main>
     </div>
+    </LocaleContext.Provider>
   );
 }
\ No newline at end of file
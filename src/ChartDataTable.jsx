@@ -0,0 +1,39 @@
+import React from "react";
+import { useLocale } from "./locale";
+
+// The chart's numbers as a table, for screen readers and anyone who wants the exact values.
+// columns is [{ key, label }] in the order the chart stacks them; data is buildDividendSeries().data.
+// periodLabel heads the first column ("Year", or "Quarter" with quarterly payments).
+export default function ChartDataTable({ id, caption, periodLabel, columns, data }) {
+  const { fmt, t } = useLocale();
+
+  return (
+    <div id={id} className="mt-4 overflow-x-auto">
+      <table className="min-w-full text-xs">
+        <caption className="sr-only">{caption}</caption>
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th scope="col" className="pr-4 py-1 font-medium">{periodLabel}</th>
+            {columns.map((column) => (
+              <th key={column.key} scope="col" className="pr-4 py-1 font-medium text-right">{column.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((row) => (
+            <tr key={row.year} className="border-b border-gray-100">
+              <th scope="row" className="pr-4 py-1 font-normal text-left text-gray-700">
+                {row.year === 0 ? t("chart.initialInvestment") : row.yearLabel}
+              </th>
+              {columns.map((column) => (
+                <td key={column.key} className="pr-4 py-1 text-right font-mono">
+                  {row[column.key] === null || row[column.key] === undefined ? "" : fmt.moneyLabel(row[column.key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
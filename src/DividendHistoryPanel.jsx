@@ -0,0 +1,165 @@
+import React, { useId, useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { parseDividendCSV, analyzeDividends, SAMPLE_HISTORY } from "./dividendHistory";
+import { InfoIcon, RadioGroup } from "./ui";
+import { useLocale } from "./locale";
+import { GROWTH_TARGETS } from "./inputs";
+
+const buttonClass = "px-2 py-1 text-xs border border-gray-200 rounded text-gray-700 hover:bg-white disabled:opacity-40";
+
+// Wording for an issue from dividendHistory.js
+function issueMessage(issue, fmt, t) {
+  switch (issue.kind) {
+    case "invalid":
+      return t(`history.invalid.${issue.reason}`, { text: issue.text });
+    case "duplicate":
+      return t("history.duplicate", { date: issue.date });
+    case "irregular":
+      return t("history.irregular", { days: fmt.number(issue.days, 0), expected: fmt.number(issue.expected, 0) });
+    default:
+      return t("history.cut", { change: fmt.percent(-issue.change, 1), date: issue.date });
+  }
+}
+
+// Pasted or uploaded dividend history: estimates of D0 and growth that can be applied to the inputs.
+// req is the required return in percent; onApplyGrowth(target, growthPercent) and onApplyD0(amount)
+// set the chosen input. Only targets (GROWTH_TARGETS less any the embedding host has fixed) are
+// offered, and D0 only when onApplyD0 is given.
+export default function DividendHistoryPanel({ req, targets = GROWTH_TARGETS, onApplyGrowth, onApplyD0 }) {
+  const { fmt, t } = useLocale();
+  const id = useId();
+  const [enabled, setEnabled] = useState(false);
+  const [text, setText] = useState("");
+  const [method, setMethod] = useState("regression");
+  const [unreadFile, setUnreadFile] = useState(null);
+
+  const { payments, issues: rowIssues } = useMemo(() => parseDividendCSV(text), [text]);
+  const estimate = useMemo(() => analyzeDividends(payments), [payments]);
+  const issues = [...rowIssues, ...estimate.issues].sort((a, b) => a.line - b.line);
+  const problems = [
+    ...(unreadFile ? [t("history.readError", { name: unreadFile })] : []),
+    ...issues.map((issue) => t("history.issueLine", { line: issue.line, message: issueMessage(issue, fmt, t) })),
+  ];
+  const valid = Object.keys(estimate.errors).length === 0;
+  const growth = estimate[method];
+
+  const upload = (e) => {
+    const [file] = e.target.files;
+    if (file) {
+      file.text().then((content) => {
+        setUnreadFile(null);
+        setText(content);
+      }, () => setUnreadFile(file.name));
+    }
+    e.target.value = "";
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+        {t("history.title")}
+        <InfoIcon id="history">{t("history.help")}</InfoIcon>
+      </label>
+
+      {enabled && (
+        <div className="mt-3 space-y-3">
+          <textarea
+            id={`${id}-csv`}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={6}
+            placeholder={t("history.placeholder")}
+            aria-label={t("history.csv")}
+            className="block w-full rounded-md shadow-sm px-2 py-2 text-xs font-mono border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+          <div className="flex flex-wrap items-center gap-2">
+            <label className={`${buttonClass} cursor-pointer bg-white`}>
+              {t("history.upload")}
+              <input type="file" accept=".csv,text/csv,text/plain" onChange={upload} className="sr-only" />
+            </label>
+            <button type="button" className={`${buttonClass} bg-white`} onClick={() => setText(SAMPLE_HISTORY)}>
+              {t("history.sample")}
+            </button>
+            {text && (
+              <button type="button" className={`${buttonClass} bg-white`} onClick={() => setText("")}>
+                {t("history.clear")}
+              </button>
+            )}
+          </div>
+
+          {problems.length > 0 && (
+            <div className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2" role="alert">
+              <div className="font-semibold mb-1">{t("history.issues", { count: problems.length })}</div>
+              <ul className="space-y-0.5">
+                {problems.map((problem, i) => (
+                  <li key={i}>{problem}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {text && !valid && Object.entries(estimate.errors).map(([field, error]) => (
+            <p key={field} className="text-xs text-red-700" role="alert">{t(error)}</p>
+          ))}
+
+          {valid && (
+            <>
+              <div style={{ width: "100%", height: 160 }} role="img" aria-label={t("history.chart", { count: payments.length, first: payments[0].date, last: payments[payments.length - 1].date })}>
+                <ResponsiveContainer width="100%" height={160}>
+                  <LineChart data={payments} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tick={{ fontSize: 10 }} minTickGap={24} />
+                    <YAxis tickFormatter={fmt.money} tick={{ fontSize: 10 }} width={60} domain={["auto", "auto"]} />
+                    <Tooltip formatter={(value) => [fmt.money(value), t("history.amount")]} />
+                    <Line type="stepAfter" dataKey="amount" stroke="#2563eb" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="text-xs text-gray-700 font-mono space-y-1">
+                <div>{t("history.summary", { count: payments.length, years: fmt.number(estimate.years, 1), frequency: t(`history.frequency.${estimate.frequency}`) })}</div>
+                <div>{t("history.D0", { amount: fmt.money(estimate.D0) })}</div>
+                <div>{t("history.cagr", { rate: fmt.percent(estimate.cagr) })}</div>
+                <div>{t("history.regression", { rate: fmt.percent(estimate.regression) })}</div>
+                <div>{t("history.volatility", { rate: isFinite(estimate.volatility) ? fmt.percent(estimate.volatility) : t("history.notEnough") })}</div>
+              </div>
+
+              {onApplyD0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <button type="button" className={buttonClass} onClick={() => onApplyD0(estimate.D0)}>
+                    {t("history.applyD0")}
+                  </button>
+                </div>
+              )}
+
+              {targets.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <RadioGroup
+                    label={t("history.method")}
+                    className="bg-white"
+                    value={method}
+                    onChange={setMethod}
+                    options={["regression", "cagr"].map((value) => ({ value, activeClass: "bg-blue-50 text-blue-700", label: t(`history.method.${value}`) }))}
+                  />
+                  <span className="text-xs text-gray-600">{t("history.applyTo")}</span>
+                  {targets.map((target) => (
+                    <button key={target} type="button" className={buttonClass} onClick={() => onApplyGrowth(target, growth)}>
+                      {t(`history.target.${target}`)}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {growth >= req && (
+                <p className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2" role="alert">
+                  {t("history.aboveRequired", { growth: fmt.percent(growth), req: fmt.percent(req) })}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
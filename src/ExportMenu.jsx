@@ -0,0 +1,51 @@
+import React, { useState } from "react";
+import { toCSV, toSummaryJSON, serializeChartSvg, svgToPng, downloadFile } from "./exporters";
+import { useLocale } from "./locale";
+
+const itemClass = "block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-40";
+
+// Download menu for the chart card. chartRef points at the element wrapping the recharts chart.
+export default function ExportMenu({ results, values, chartRef }) {
+  const { t } = useLocale();
+  const [error, setError] = useState(null);
+
+  const chartSvg = () => {
+    const svg = chartRef.current?.querySelector("svg.recharts-surface");
+    if (!svg) throw new Error("export.notRendered");
+    return serializeChartSvg(svg);
+  };
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(t(e.message));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <details className="group">
+        <summary className="list-none cursor-pointer px-3 py-2 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50">
+          {t("export.menu")}
+        </summary>
+        <div className="absolute right-0 mt-1 w-48 bg-white border border-gray-200 rounded-lg shadow-md z-20 overflow-hidden">
+          <button type="button" className={itemClass} onClick={() => run(() => downloadFile("dividend-cash-flows.csv", toCSV(results, values, t), "text/csv;charset=utf-8"))}>
+            {t("export.csv")}
+          </button>
+          <button type="button" className={itemClass} onClick={() => run(() => downloadFile("dividend-chart.svg", chartSvg().markup, "image/svg+xml;charset=utf-8"))}>
+            {t("export.svg")}
+          </button>
+          <button type="button" className={itemClass} onClick={() => run(async () => downloadFile("dividend-chart.png", await svgToPng(chartSvg())))}>
+            {t("export.png")}
+          </button>
+          <button type="button" className={itemClass} onClick={() => run(() => downloadFile("valuation-summary.json", toSummaryJSON(results, values, undefined, t), "application/json"))}>
+            {t("export.json")}
+          </button>
+        </div>
+      </details>
+      {error && <p className="mt-1 text-xs text-red-700" role="alert">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from "react";
+import { FCFE_COMPONENTS, computeFCFE } from "./fcfe";
+import { InfoIcon, NumberInput } from "./ui";
+import { useLocale } from "./locale";
+
+function AmountField({ field, label, help, value, onChange }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={`fcfe-${field}`} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+        {label}
+        <InfoIcon id={`fcfe-${field}`}>{help}</InfoIcon>
+      </label>
+      <div className="w-24">
+        <NumberInput
+          id={`fcfe-${field}`}
+          step="0.1"
+          value={value}
+          onChange={onChange}
+          className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+// Optional panel that switches the chart and results to free cash flow to equity, valued with the
+// dividend models' growth inputs. fcfe is { enabled, source, fcfe, ...FCFE_COMPONENTS fields }.
+export default function FCFEPanel({ fcfe, onChange }) {
+  const update = (field, value) => onChange({ ...fcfe, [field]: value });
+  const { fmt, t } = useLocale();
+  const estimate = computeFCFE(fcfe, fmt);
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input type="checkbox" checked={fcfe.enabled} onChange={(e) => update("enabled", e.target.checked)} />
+        {t("fcfe.title")}
+        <InfoIcon id="fcfeMode">{t("fcfe.help")}</InfoIcon>
+      </label>
+
+      {fcfe.enabled && (
+        <div className="mt-3 space-y-3">
+          <div className="inline-flex rounded-lg overflow-hidden border border-gray-200" role="group" aria-label={t("fcfe.source")}>
+            {["components", "direct"].map((key, i) => (
+              <button
+                key={key}
+                type="button"
+                className={`px-3 py-1 text-xs ${i > 0 ? "border-l" : ""} ${fcfe.source === key ? "bg-blue-50 text-blue-700 font-semibold" : "bg-white text-gray-600"}`}
+                onClick={() => update("source", key)}
+                aria-pressed={fcfe.source === key}
+              >
+                {t(`fcfe.source.${key}`)}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
+            {fcfe.source === "direct" ? (
+              <AmountField field="fcfe" label={t("fcfe.current")} help={t("fcfe.current.help")} value={fcfe.fcfe} onChange={(v) => update("fcfe", v)} />
+            ) : (
+              FCFE_COMPONENTS.map(([field, label]) => (
+                <AmountField key={field} field={field} label={t(label)} help={t(`${label}.help`)} value={fcfe[field]} onChange={(v) => update(field, v)} />
+              ))
+            )}
+          </div>
+
+          {fcfe.source === "components" && estimate.working && (
+            <p className="text-xs text-gray-700 font-mono">
+              {t("fcfe.working", { working: estimate.working })}
+            </p>
+          )}
+          {Object.entries(estimate.errors).map(([field, error]) => (
+            <p key={field} className="text-xs text-red-700" role="alert">{t(error)}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
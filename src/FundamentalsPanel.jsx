@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { sustainableGrowth, DEFAULT_FUNDAMENTALS } from "./fundamentals";
+import { InfoIcon, NumberInput } from "./ui";
+import { useLocale } from "./locale";
+import { GROWTH_TARGETS } from "./inputs";
+
+function NumberField({ id, label, help, value, step = "0.1", onChange }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={id} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+        {label}
+        <InfoIcon id={id}>{help}</InfoIcon>
+      </label>
+      <div className="w-24">
+        <NumberInput
+          id={id}
+          step={step}
+          value={value}
+          onChange={onChange}
+          className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+function SourceToggle({ label, options, value, onChange }) {
+  return (
+    <div className="inline-flex rounded-lg overflow-hidden border border-gray-200" role="group" aria-label={label}>
+      {options.map(([key, text], i) => (
+        <button
+          key={key}
+          type="button"
+          className={`px-3 py-1 text-xs ${i > 0 ? "border-l" : ""} ${value === key ? "bg-blue-50 text-blue-700 font-semibold" : "bg-white text-gray-600"}`}
+          onClick={() => onChange(key)}
+          aria-pressed={value === key}
+        >
+          {text}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Sustainable growth g = b × ROE from payout and ROE (optionally via DuPont), applied to a growth input.
+// req is the required return in percent; onApply(target, growthPercent) sets the chosen input, one of
+// targets (GROWTH_TARGETS less any the embedding host has fixed).
+export default function FundamentalsPanel({ req, targets = GROWTH_TARGETS, onApply }) {
+  const { fmt, t } = useLocale();
+  const [enabled, setEnabled] = useState(false);
+  const [f, setF] = useState(DEFAULT_FUNDAMENTALS);
+  const update = (field, value) => setF({ ...f, [field]: value });
+  const estimate = sustainableGrowth(f);
+  const valid = Object.keys(estimate.errors).length === 0;
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+        {t("fundamentals.title")}
+        <InfoIcon id="fundamentals">{t("fundamentals.help")}</InfoIcon>
+      </label>
+
+      {enabled && (
+        <div className="mt-3 space-y-3">
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+            <SourceToggle
+              label={t("fundamentals.payoutSource")}
+              options={["dividends", "ratio"].map((key) => [key, t(`fundamentals.payoutSource.${key}`)])}
+              value={f.payoutSource}
+              onChange={(value) => update("payoutSource", value)}
+            />
+            {f.payoutSource === "ratio" ? (
+              <NumberField id="payoutRatio" label={t("fundamentals.payoutRatio")} help={t("fundamentals.payoutRatio.help")} value={f.payoutRatio} onChange={(v) => update("payoutRatio", v)} />
+            ) : (
+              <>
+                <NumberField id="eps" label={t("fundamentals.eps")} help={t("fundamentals.eps.help")} value={f.eps} step="0.01" onChange={(v) => update("eps", v)} />
+                <NumberField id="dps" label={t("fundamentals.dps")} help={t("fundamentals.dps.help")} value={f.dps} step="0.01" onChange={(v) => update("dps", v)} />
+              </>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+            <SourceToggle
+              label={t("fundamentals.roeSource")}
+              options={["direct", "dupont"].map((key) => [key, t(`fundamentals.roeSource.${key}`)])}
+              value={f.roeSource}
+              onChange={(value) => update("roeSource", value)}
+            />
+            {f.roeSource === "dupont" ? (
+              <>
+                <NumberField id="netMargin" label={t("fundamentals.netMargin")} help={t("fundamentals.netMargin.help")} value={f.netMargin} onChange={(v) => update("netMargin", v)} />
+                <NumberField id="assetTurnover" label={t("fundamentals.assetTurnover")} help={t("fundamentals.assetTurnover.help")} value={f.assetTurnover} step="0.05" onChange={(v) => update("assetTurnover", v)} />
+                <NumberField id="leverage" label={t("fundamentals.leverage")} help={t("fundamentals.leverage.help")} value={f.leverage} step="0.05" onChange={(v) => update("leverage", v)} />
+              </>
+            ) : (
+              <NumberField id="roe" label={t("fundamentals.roe")} help={t("fundamentals.roe.help")} value={f.roe} onChange={(v) => update("roe", v)} />
+            )}
+          </div>
+
+          {valid ? (
+            <div className="text-xs text-gray-700 font-mono space-y-1">
+              <div>{t("fundamentals.payout", { payout: fmt.percent(estimate.payout), retention: fmt.percent(estimate.retention) })}</div>
+              {f.roeSource === "dupont" && (
+                <div>{t("fundamentals.dupont", { margin: fmt.percent(f.netMargin), turnover: fmt.input(f.assetTurnover), leverage: fmt.input(f.leverage), roe: fmt.percent(estimate.roe) })}</div>
+              )}
+              <div className="font-semibold">{t("fundamentals.growth", { retention: fmt.percent(estimate.retention), roe: fmt.percent(estimate.roe), growth: fmt.percent(estimate.growth) })}</div>
+            </div>
+          ) : (
+            Object.entries(estimate.errors).map(([field, error]) => (
+              <p key={field} className="text-xs text-red-700" role="alert">{t(error)}</p>
+            ))
+          )}
+
+          {valid && estimate.growth >= req && (
+            <p className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2" role="alert">
+              {t("fundamentals.aboveRequired", { growth: fmt.percent(estimate.growth), req: fmt.percent(req) })}
+            </p>
+          )}
+
+          {targets.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-600">{t("history.applyTo")}</span>
+              {targets.map((target) => (
+                <button
+                  key={target}
+                  type="button"
+                  className="px-2 py-1 text-xs border border-gray-200 rounded text-gray-700 hover:bg-white disabled:opacity-40"
+                  disabled={!valid}
+                  onClick={() => onApply(target, estimate.growth)}
+                >
+                  {t(`history.target.${target}`)}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
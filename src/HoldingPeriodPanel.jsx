@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { MODEL_CONFIG } from "./config";
+import { toSubscript } from "./format";
+import { useLocale } from "./locale";
+import { ParameterControl } from "./ParameterField";
+import { holdingPeriodReturn, maxSellYear } from "./holdingPeriod";
+
+// Buy today, sell after a chosen number of years: the return split into dividend yield and capital
+// gains yield for each model shown. results is the series the chart draws; basis is "dividends" or "fcfe".
+export default function HoldingPeriodPanel({ results, selectedModel, basis = "dividends" }) {
+  const { fmt, t } = useLocale();
+  const [sellYear, setSellYear] = useState(1);
+
+  const max = maxSellYear(results);
+  const validYear = Number.isInteger(sellYear) && sellYear >= 1 && sellYear <= max;
+  const models = selectedModel === "all" ? Object.keys(MODEL_CONFIG) : [selectedModel];
+  const label = t("holding.sellYear");
+  const percent = (x) => fmt.percent(x * 100);
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">{t("holding.intro", { flow: t(`chart.flow.${basis}`) })}</p>
+
+      <div className="flex items-start gap-2">
+        <label htmlFor="holding-sell-year" className="font-medium text-gray-700 whitespace-nowrap text-sm py-2">{label}</label>
+        <ParameterControl
+          id="holding-sell-year"
+          param={{ min: 1, max, step: 1 }}
+          value={sellYear}
+          onChange={setSellYear}
+          error={validYear ? null : t("holding.invalidYear", { max })}
+          label={label}
+        />
+      </div>
+
+      {validYear && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th scope="col" className="pr-4 py-1 font-medium">{t("holding.model")}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.buyPrice")}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.dividends")}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.salePrice", { price: `P${toSubscript(sellYear)}` })}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.dividendYield")}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.capitalGainsYield")}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.totalReturn")}</th>
+                <th scope="col" className="pr-4 py-1 font-medium text-right">{t("holding.priceGrowth")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {models.map((model) => {
+                const hold = holdingPeriodReturn(results, model, sellYear);
+                return (
+                  <tr key={model} className="border-b border-gray-100">
+                    <th scope="row" className="pr-4 py-1 font-normal text-left" style={{ color: MODEL_CONFIG[model].color }}>
+                      {t(MODEL_CONFIG[model].name)}
+                    </th>
+                    {hold ? (
+                      <>
+                        <td className="pr-4 py-1 text-right font-mono">{fmt.money(hold.buyPrice)}</td>
+                        <td className="pr-4 py-1 text-right font-mono">{fmt.money(hold.dividends)}</td>
+                        <td className="pr-4 py-1 text-right font-mono">{fmt.money(hold.salePrice)}</td>
+                        <td className="pr-4 py-1 text-right font-mono">{percent(hold.dividendYield)}</td>
+                        <td className="pr-4 py-1 text-right font-mono">{percent(hold.capitalGainsYield)}</td>
+                        <td className="pr-4 py-1 text-right font-mono font-semibold">{percent(hold.totalReturn)}</td>
+                        <td className="pr-4 py-1 text-right font-mono">{percent(hold.annualPriceGrowth)}</td>
+                      </>
+                    ) : (
+                      <td colSpan={7} className="pr-4 py-1 text-gray-500">{t("holding.noPrice")}</td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {models.includes("growth") && <p className="text-xs text-gray-500">{t("holding.gordonNote")}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { justifiedMultiples } from "./multiples";
+import { useLocale } from "./locale";
+
+const VERDICT_STYLES = {
+  overvalued: "bg-red-50 text-red-700 border-red-200",
+  undervalued: "bg-green-50 text-green-700 border-green-200",
+  fair: "bg-gray-50 text-gray-700 border-gray-200",
+};
+
+// Justified multiples from the constant-growth inputs, with the market's multiples beside them
+export default function JustifiedMultiples({ inputs, market }) {
+  const { fmt, t } = useLocale();
+  const fmtMultiple = (row, value) => row.percent ? fmt.percent(value * 100) : `${fmt.number(value)}×`;
+  const { rows, payout, roe, errors } = justifiedMultiples(inputs, market);
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="font-semibold mb-1 text-sm">{t("multiples.title")}</div>
+      <div className="text-xs text-gray-500 mb-3">
+        {t("multiples.source")}
+        {rows.length > 0 && t("multiples.ratios", { payout: fmt.percent(payout * 100, 1), roe: fmt.percent(roe * 100, 1) })}
+      </div>
+
+      {rows.length === 0 ? (
+        Object.entries(errors).map(([field, error]) => (
+          <p key={field} className="text-xs text-gray-600">{t(error)}</p>
+        ))
+      ) : (
+        <div className="space-y-2">
+          {rows.map((row) => (
+            <div key={row.key} className="text-xs p-2 rounded border bg-white">
+              <div className="flex items-baseline justify-between gap-2">
+                <span className="font-medium text-gray-700">{t(row.label)}</span>
+                <span className="font-mono">{fmtMultiple(row, row.justified)}</span>
+              </div>
+              <div className="font-mono text-gray-500 mt-1">{row.formula}</div>
+              {row.verdict && (
+                <div className="flex items-center justify-between gap-2 mt-1">
+                  <span className="text-gray-600">{t("multiples.market", { value: fmtMultiple(row, row.market) })}</span>
+                  <span className={`px-1.5 py-0.5 rounded border ${VERDICT_STYLES[row.verdict]}`}>{t(`multiples.verdict.${row.verdict}`)}</span>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from "react";
+import { LOCALES, CURRENCIES } from "./format";
+import { useLocale } from "./locale";
+
+// Number format and currency pickers. settings is { locale, currency }.
+export default function LocaleSelector({ settings, onChange }) {
+  const { t } = useLocale();
+  const selectClass = "rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 bg-white";
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <label className="flex items-center gap-2 text-gray-700">
+        {t("locale.language")}
+        <select value={settings.locale} onChange={(e) => onChange({ ...settings, locale: e.target.value })} className={selectClass}>
+          {Object.entries(LOCALES).map(([key, name]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 text-gray-700">
+        {t("locale.currency")}
+        <select value={settings.currency} onChange={(e) => onChange({ ...settings, currency: e.target.value })} className={selectClass}>
+          {CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>{currency}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+import { InfoIcon, NumberInput } from "./ui";
+import { useLocale } from "./locale";
+
+// Labelled by the market.<field> messages
+const FIELDS = ["price", "eps", "bookValue"];
+
+// Per-share market data for the justified multiples in the results. market is { price, eps, bookValue }.
+export default function MarketPanel({ market, onChange }) {
+  const { t } = useLocale();
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="text-sm font-medium text-gray-700 flex items-center mb-3">
+        {t("market.title")}
+        <InfoIcon id="market">{t("market.help")}</InfoIcon>
+      </div>
+      <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
+        {FIELDS.map((field) => (
+          <div key={field} className="flex items-center gap-2">
+            <label htmlFor={`market-${field}`} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+              {t(`market.${field}`)}
+              <InfoIcon id={`market-${field}`}>{t(`market.${field}.help`)}</InfoIcon>
+            </label>
+            <div className="w-24">
+              <NumberInput
+                id={`market-${field}`}
+                step="0.1"
+                value={market[field]}
+                onChange={(value) => onChange({ ...market, [field]: value })}
+                className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,298 @@
+import React, { useState, useRef, useEffect } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { SIMULATED_INPUTS, MAX_DRAWS, distributionErrors, runSimulation } from "./monteCarlo";
+import { perpetualGrowth } from "./valuation";
+import { MODEL_CONFIG, COLORS } from "./config";
+import { useLocale } from "./locale";
+import { InfoIcon, NumberInput } from "./ui";
+
+const DISTRIBUTION_FIELDS = {
+  fixed: ["value"],
+  normal: ["mean", "sd", "min", "max"],
+  uniform: ["min", "max"],
+  triangular: ["min", "mode", "max"],
+};
+
+const round = (x) => Math.round(x * 1e4) / 1e4;
+
+// Starting distributions around the current inputs, in UI units (percent for rates)
+function defaultDistributions(modelKey, inputs) {
+  const r = round(inputs.required * 100);
+  const g = round(perpetualGrowth(modelKey === "constant" ? "growth" : modelKey, inputs) * 100);
+  const spread = (center) => ({ type: "normal", mean: center, sd: 1, min: round(center - 3), max: round(center + 3) });
+  return {
+    required: spread(r),
+    growth: spread(g),
+    gShort: { type: "fixed", value: round(inputs.stages[0].growth * 100) },
+    shortYears: { type: "fixed", value: modelKey === "hmodel" ? inputs.halfLife : inputs.stages[0].years },
+  };
+}
+
+// Percent fields to decimals for the simulation
+function toModelDistribution(key, dist) {
+  if (!SIMULATED_INPUTS[key].percent) return dist;
+  return Object.fromEntries(Object.entries(dist).map(([field, value]) =>
+    [field, field === "type" ? value : value / 100]));
+}
+
+function DistributionEditor({ inputKey, label, dist, onChange }) {
+  const { t } = useLocale();
+  const error = distributionErrors(dist);
+  return (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-2">
+      <div className="w-40 font-medium text-gray-700 text-sm">{label}</div>
+      <select
+        value={dist.type}
+        onChange={(e) => {
+          const type = e.target.value;
+          const center = dist.mean ?? dist.value ?? dist.mode ?? (dist.min + dist.max) / 2;
+          const low = dist.min ?? center;
+          const high = dist.max ?? center;
+          onChange({ type, value: center, mean: center, mode: center, sd: dist.sd ?? 1, min: low, max: high });
+        }}
+        aria-label={t("simulation.distribution", { label })}
+        className="rounded-md shadow-sm px-2 py-1 text-sm border-gray-300"
+      >
+        {Object.keys(DISTRIBUTION_FIELDS).map((type) => (
+          <option key={type} value={type}>{t(`simulation.type.${type}`)}</option>
+        ))}
+      </select>
+      {DISTRIBUTION_FIELDS[dist.type].map((field) => (
+        <label key={field} className="flex items-center gap-1 text-xs text-gray-600">
+          {t(`simulation.field.${field}`)}
+          <NumberInput
+            step="0.1"
+            value={dist[field]}
+            onChange={(value) => onChange({ ...dist, [field]: value })}
+            aria-label={`${label} ${t(`simulation.field.${field}`)}`}
+            className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300"
+          />
+        </label>
+      ))}
+      {error && <span className="text-xs text-red-700" role="alert" id={`${inputKey}-error`}>{t(error)}</span>}
+    </div>
+  );
+}
+
+// Price distribution from seeded random draws of r and g (and the first growth stage). Runs in a
+// web worker so thousands of draws do not block the page.
+export default function MonteCarloPanel({ inputs, selectedModel }) {
+  const { fmt, t } = useLocale();
+  const [fallbackModel, setFallbackModel] = useState("growth");
+  const modelKey = selectedModel === "all" ? fallbackModel : selectedModel;
+  const [distributions, setDistributions] = useState(() => defaultDistributions(modelKey, inputs));
+  const [centeredOn, setCenteredOn] = useState({ modelKey, inputs });
+  const [draws, setDraws] = useState(5000);
+  const [seed, setSeed] = useState(42);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  // Re-center the distributions when the model or the inputs change, so none is left at another
+  // model's value (the H-model half-life as the N-stage high-growth years, say)
+  if (centeredOn.modelKey !== modelKey || centeredOn.inputs !== inputs) {
+    setCenteredOn({ modelKey, inputs });
+    setDistributions(defaultDistributions(modelKey, inputs));
+  }
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const activeKeys = Object.keys(SIMULATED_INPUTS).filter((key) => SIMULATED_INPUTS[key].models.includes(modelKey));
+  const settingsErrors = [
+    ...(Number.isInteger(draws) && draws >= 100 && draws <= MAX_DRAWS ? [] : [t("simulation.error.draws", { max: fmt.number(MAX_DRAWS, 0) })]),
+    ...(Number.isInteger(seed) ? [] : [t("simulation.error.seed")]),
+  ];
+  const invalid = activeKeys.some((key) => distributionErrors(distributions[key])) || settingsErrors.length > 0;
+
+  const run = () => {
+    workerRef.current?.terminate();
+    setError(null);
+    setResult(null);
+    setProgress(0);
+
+    const request = {
+      model: modelKey,
+      inputs,
+      distributions: Object.fromEntries(activeKeys.map((key) => [key, toModelDistribution(key, distributions[key])])),
+      draws,
+      seed,
+    };
+
+    if (typeof Worker === "undefined") {
+      setResult({ ...runSimulation(request), model: modelKey });
+      setProgress(null);
+      return;
+    }
+
+    const worker = new Worker(new URL("./monteCarlo.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    const finish = () => {
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setProgress(data.fraction);
+        return;
+      }
+      if (data.type === "done") setResult({ ...data.result, model: modelKey });
+      else setError(data.message);
+      finish();
+    };
+    // The worker failed to load or threw outside runSimulation, or its reply could not be read
+    worker.onerror = (e) => {
+      e.preventDefault();
+      setError(e.message || "simulation.workerFailed");
+      finish();
+    };
+    worker.onmessageerror = () => {
+      setError("simulation.unreadable");
+      finish();
+    };
+  };
+
+  const model = MODEL_CONFIG[result?.model ?? modelKey];
+  const bins = result?.histogram.map((bin) => ({ ...bin, mid: (bin.from + bin.to) / 2 })) ?? [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-6 gap-y-3">
+        {selectedModel === "all" && (
+          <div className="flex items-center gap-2">
+            <label htmlFor="mcModel" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("model.selector")}</label>
+            <select
+              id="mcModel"
+              value={fallbackModel}
+              onChange={(e) => setFallbackModel(e.target.value)}
+              className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300"
+            >
+              {Object.entries(MODEL_CONFIG).map(([key, config]) => (
+                <option key={key} value={key}>{t(config.name)}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="flex items-center gap-2">
+          <label htmlFor="mcDraws" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+            {t("simulation.draws")}
+            <InfoIcon id="mcDraws">{t("simulation.draws.help", { max: fmt.number(MAX_DRAWS, 0) })}</InfoIcon>
+          </label>
+          <NumberInput
+            id="mcDraws"
+            step="1000"
+            value={draws}
+            onChange={setDraws}
+            className="block w-24 rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <label htmlFor="mcSeed" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+            {t("simulation.seed")}
+            <InfoIcon id="mcSeed">{t("simulation.seed.help")}</InfoIcon>
+          </label>
+          <NumberInput
+            id="mcSeed"
+            step="1"
+            value={seed}
+            onChange={setSeed}
+            className="block w-24 rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="button"
+          className="px-3 py-2 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50"
+          onClick={() => setDistributions(defaultDistributions(modelKey, inputs))}
+        >
+          {t("simulation.reset")}
+        </button>
+      </div>
+      {settingsErrors.map((message) => (
+        <p key={message} className="text-xs text-red-700" role="alert">{message}</p>
+      ))}
+
+      <div className="space-y-2">
+        {activeKeys.map((key) => (
+          <DistributionEditor
+            key={key}
+            inputKey={key}
+            label={t(SIMULATED_INPUTS[key].percent ? "simulation.percentLabel" : "simulation.label", {
+              label: t(modelKey === "hmodel" && key === "shortYears" ? "simulation.input.halfLife" : SIMULATED_INPUTS[key].label),
+            })}
+            dist={distributions[key]}
+            onChange={(dist) => setDistributions({ ...distributions, [key]: dist })}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          className="px-4 py-2 text-sm rounded-lg text-white disabled:opacity-40"
+          style={{ backgroundColor: COLORS.primary }}
+          onClick={run}
+          disabled={invalid || progress !== null}
+        >
+          {t("simulation.run")}
+        </button>
+        {progress !== null && (
+          <span className="text-sm text-gray-600" role="status">{t("simulation.running", { progress: fmt.percent(progress * 100, 0) })}</span>
+        )}
+        {error && <span className="text-sm text-red-700" role="alert">{t(error)}</span>}
+      </div>
+
+      {result && (
+        result.valid === 0 ? (
+          <p className="text-sm text-red-700">{t("simulation.noPrice", { dropped: fmt.number(result.dropped, 0) })}</p>
+        ) : (
+          <div className="grid lg:grid-cols-4 gap-6">
+            <dl className="text-sm grid grid-cols-2 gap-x-4 gap-y-1 content-start">
+              <dt className="text-gray-600">{t("simulation.mean")}</dt><dd className="font-mono">{fmt.money(result.mean)}</dd>
+              {Object.entries(result.percentiles).map(([p, value]) => (
+                <React.Fragment key={p}>
+                  <dt className="text-gray-600">{p === "50" ? t("simulation.median") : t("simulation.percentile", { p })}</dt>
+                  <dd className="font-mono">{fmt.money(value)}</dd>
+                </React.Fragment>
+              ))}
+              <dt className="text-gray-600">{t("simulation.priced")}</dt><dd className="font-mono">{fmt.number(result.valid, 0)}</dd>
+              <dt className="text-gray-600">{t("simulation.droppedGrowth")}</dt><dd className="font-mono">{fmt.number(result.growthAtOrAboveReturn, 0)}</dd>
+              {result.dropped > result.growthAtOrAboveReturn && (
+                <>
+                  <dt className="text-gray-600">{t("simulation.droppedOther")}</dt>
+                  <dd className="font-mono">{fmt.number(result.dropped - result.growthAtOrAboveReturn, 0)}</dd>
+                </>
+              )}
+            </dl>
+            <div className="lg:col-span-3">
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={bins} margin={{ top: 20, right: 30, left: 20, bottom: 30 }} barCategoryGap={1}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="mid" type="number" domain={["dataMin", "dataMax"]} tickFormatter={fmt.money} label={{ value: t("simulation.price"), position: 'insideBottom', offset: -5 }} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip
+                    formatter={(value) => [fmt.number(value, 0), t("simulation.draws")]}
+                    labelFormatter={(_, payload) => payload?.[0] ? `${fmt.money(payload[0].payload.from)} – ${fmt.money(payload[0].payload.to)}` : ""}
+                  />
+                  <Bar dataKey="count" fill={model.color} />
+                  <ReferenceLine x={result.mean} stroke={COLORS.dark} strokeWidth={2} label={{ value: t("simulation.mean"), position: "top", fill: COLORS.dark, fontSize: 11 }} />
+                  <ReferenceLine x={result.percentiles[5]} stroke={COLORS.orange} strokeDasharray="4 2" label={{ value: "P5", position: "top", fill: COLORS.orange, fontSize: 11 }} />
+                  <ReferenceLine x={result.percentiles[95]} stroke={COLORS.orange} strokeDasharray="4 2" label={{ value: "P95", position: "top", fill: COLORS.orange, fontSize: 11 }} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
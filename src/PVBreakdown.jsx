@@ -0,0 +1,104 @@
+import React, { useMemo } from "react";
+import { pvBreakdown } from "./valuation";
+import { MODEL_CONFIG } from "./config";
+import { toSubscript } from "./format";
+import { useLocale } from "./locale";
+
+// periodLabel heads the first column: rows are years, or payment periods with more than one a year.
+// The printed report (ReportView) shows the same table.
+export function BreakdownTable({ breakdown, periodLabel }) {
+  const { fmt, t } = useLocale();
+  const { rows, total } = breakdown;
+
+  if (rows[0]?.kind === "component") {
+    return (
+      <table className="text-sm w-full">
+        <thead>
+          <tr className="text-left text-xs text-gray-500">
+            <th scope="col" className="pr-4 py-1 font-medium">{t("breakdown.component")}</th>
+            <th scope="col" className="pr-4 py-1 font-medium text-right">{t("breakdown.value")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label} className="border-t border-gray-100">
+              <td className="pr-4 py-1">{t(row.label)}</td>
+              <td className="pr-4 py-1 text-right font-mono">{fmt.money(row.pv)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t-2 border-gray-300 font-semibold">
+            <td className="pr-4 py-1">{t("breakdown.price")}</td>
+            <td className="pr-4 py-1 text-right font-mono">{fmt.money(total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    );
+  }
+
+  return (
+    <table className="text-sm w-full">
+      <thead>
+        <tr className="text-left text-xs text-gray-500">
+          <th scope="col" className="pr-4 py-1 font-medium">{periodLabel}</th>
+          <th scope="col" className="pr-4 py-1 font-medium text-right">{t("breakdown.dividend")}</th>
+          <th scope="col" className="pr-4 py-1 font-medium text-right">{t("breakdown.discountFactor")}</th>
+          <th scope="col" className="pr-4 py-1 font-medium text-right">{t("breakdown.pv")}</th>
+          <th scope="col" className="pr-4 py-1 font-medium text-right">{t("breakdown.cumulativePV")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={`${row.kind}-${row.year}`} className={`border-t border-gray-100 ${row.kind === "terminal" ? "bg-gray-50 italic" : ""}`}>
+            <th scope="row" className="pr-4 py-1 text-left font-normal">
+              {row.kind === "terminal" ? t("breakdown.terminal", { value: `P${toSubscript(row.year)}` }) : row.year}
+            </th>
+            <td className="pr-4 py-1 text-right font-mono">{fmt.money(row.amount)}</td>
+            <td className="pr-4 py-1 text-right font-mono">{fmt.number(row.discountFactor, 6)}</td>
+            <td className="pr-4 py-1 text-right font-mono">{fmt.money(row.pv)}</td>
+            <td className="pr-4 py-1 text-right font-mono">{fmt.money(row.cumulativePV)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr className="border-t-2 border-gray-300 font-semibold">
+          <th scope="row" className="pr-4 py-1 text-left">{t("breakdown.price")}</th>
+          <td colSpan={2}></td>
+          <td className="pr-4 py-1 text-right font-mono">{fmt.money(total)}</td>
+          <td></td>
+        </tr>
+      </tfoot>
+    </table>
+  );
+}
+
+// Expandable present-value working for each model, or just the selected one
+export default function PVBreakdown({ inputs, selectedModel }) {
+  const { fmt, t } = useLocale();
+  const breakdowns = useMemo(() => {
+    const keys = selectedModel === "all" ? Object.keys(MODEL_CONFIG) : [selectedModel];
+    return keys.map((key) => ({ key, breakdown: pvBreakdown(key, inputs) }));
+  }, [selectedModel, inputs]);
+
+  return (
+    <div className="space-y-3">
+      {breakdowns.map(({ key, breakdown }) => {
+        const model = MODEL_CONFIG[key];
+        return (
+          <details key={key} className="rounded-lg border" style={{ borderColor: model.color }} open={breakdowns.length === 1}>
+            <summary className="cursor-pointer px-4 py-2 font-medium flex justify-between" style={{ color: model.color }}>
+              <span>{t(model.name)}</span>
+              <span className="font-mono">{isFinite(breakdown.total) ? fmt.money(breakdown.total) : t("results.invalid")}</span>
+            </summary>
+            <div className="px-4 pb-3 overflow-x-auto">
+              {breakdown.rows.length > 0
+                ? <BreakdownTable breakdown={breakdown} periodLabel={t(`chart.periodColumn.${inputs.frequency ?? 1}`)} />
+                : <p className="text-gray-500">{t("report.noBreakdown")}</p>}
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
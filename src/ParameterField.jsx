@@ -0,0 +1,58 @@
+import React from "react";
+import { InfoIcon, NumberInput } from "./ui";
+import { useLocale } from "./locale";
+
+const inputClass = "block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500";
+
+// Number box with a linked slider and the field's error underneath. param is a PARAMETERS or
+// STAGE_PARAMETERS entry from parameters.js; the slider covers its range, the box takes any number.
+export function ParameterControl({ id, param, value, onChange, error, label, readOnly = false, width = "w-24" }) {
+  const { t } = useLocale();
+  const errorId = `${id}-error`;
+  const sliderValue = isFinite(value) ? Math.min(param.max, Math.max(param.min, value)) : param.min;
+
+  return (
+    <div className={width}>
+      <NumberInput
+        id={id}
+        step={param.step}
+        value={value}
+        onChange={onChange}
+        readOnly={readOnly}
+        aria-label={label}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={error ? errorId : undefined}
+        className={`${inputClass} ${readOnly ? "bg-gray-100" : ""} ${error ? "border-red-500 ring-1 ring-red-500" : ""}`}
+      />
+      <input
+        type="range"
+        min={param.min}
+        max={param.max}
+        step={param.step}
+        value={sliderValue}
+        onChange={(e) => onChange(Number(e.target.value))}
+        disabled={readOnly}
+        aria-label={t("input.slider", { label })}
+        className="mt-1 w-full accent-blue-600"
+      />
+      {error && <p id={errorId} className="text-xs text-red-700 mt-1">{t(error)}</p>}
+    </div>
+  );
+}
+
+// One calculator input from the PARAMETERS schema: label with tooltip, box, slider and inline error
+export default function ParameterField({ name, param, value, onChange, error, readOnly }) {
+  const { t } = useLocale();
+  const label = t(param.label);
+
+  return (
+    <div className="flex items-start gap-2">
+      <label htmlFor={name} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm py-2">
+        {label}
+        {param.required && <span className="text-red-500 ml-1">*</span>}
+        <InfoIcon id={name}>{t(param.help)}</InfoIcon>
+      </label>
+      <ParameterControl id={name} param={param} value={value} onChange={onChange} error={error} label={label} readOnly={readOnly} />
+    </div>
+  );
+}
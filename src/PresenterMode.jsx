@@ -0,0 +1,305 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { COLORS, MODEL_CONFIG } from "./config";
+import { toSubscript } from "./format";
+import { useLocale } from "./locale";
+import { periodInputs, pvBreakdown } from "./valuation";
+import { presentationSteps, slideState } from "./presentation";
+
+const NEXT_KEYS = ["ArrowRight", "ArrowDown", "PageDown", " ", "Enter"];
+const PREVIOUS_KEYS = ["ArrowLeft", "ArrowUp", "PageUp", "Backspace"];
+
+// Bar heights as a share of the timeline: dividends up to DIVIDEND_SCALE, the terminal value and
+// the collected present value (against the price) up to FULL_SCALE
+const DIVIDEND_SCALE = 45;
+const FULL_SCALE = 90;
+
+const sub = (letter, n) => `${letter}${toSubscript(n)}`;
+
+// Cash flows by year with year 0 first, where the present value collects, and an arrow for the
+// row being discounted
+function Timeline({ breakdown, state, discounting, price, frequency }) {
+  const { fmt } = useLocale();
+  const rows = breakdown.rows;
+  const lastYear = Math.max(...rows.map((row) => row.year));
+  const years = Array.from({ length: lastYear + 1 }, (_, year) => year);
+  const maxDividend = Math.max(...rows.filter((row) => row.kind === "dividend").map((row) => row.amount), 0);
+  const small = years.length > 12;
+  const x = (year) => (year + 0.5) * 100;
+
+  // Top to bottom, so the terminal value sits on its year's dividend
+  const rowsIn = (year) => rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row, index }) => row.year === year && state.drawn.has(index))
+    .reverse();
+
+  return (
+    <div className="relative flex-1 min-h-0">
+      <div className="absolute inset-0 flex items-stretch gap-1">
+        {years.map((year) => (
+          <div key={year} className="flex-1 min-w-0 flex flex-col">
+            <div className="relative flex-1 flex flex-col justify-end items-stretch">
+              {year === 0 ? (
+                <>
+                  <div className={`text-center font-semibold ${small ? "text-sm" : "text-xl"}`} style={{ color: COLORS.positive }}>
+                    {fmt.money(state.presentValue)}
+                  </div>
+                  <motion.div
+                    className="rounded-t"
+                    style={{ backgroundColor: COLORS.primary }}
+                    initial={false}
+                    animate={{ height: `${price > 0 ? FULL_SCALE * state.presentValue / price : 0}%` }}
+                    transition={{ type: "spring", stiffness: 120, damping: 20 }}
+                  />
+                </>
+              ) : (
+                rowsIn(year).map(({ row, index }) => {
+                  const terminal = row.kind === "terminal";
+                  return (
+                    <motion.div
+                      key={index}
+                      className="flex flex-col justify-end"
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: state.discounted.has(index) ? 0.45 : 1, height: `${terminal ? FULL_SCALE / 2 : DIVIDEND_SCALE * row.amount / maxDividend}%` }}
+                      transition={{ duration: 0.5 }}
+                    >
+                      <div className={`text-center whitespace-nowrap ${small ? "text-[10px]" : "text-lg"}`} style={{ color: terminal ? COLORS.orange : COLORS.positive }}>
+                        {fmt.money(row.amount)}
+                      </div>
+                      <div
+                        className="flex-1 rounded-t"
+                        style={terminal
+                          ? { border: `2px dashed ${COLORS.orange}`, backgroundColor: "rgba(234, 121, 45, 0.25)" }
+                          : { backgroundColor: COLORS.positive }}
+                      />
+                    </motion.div>
+                  );
+                })
+              )}
+            </div>
+            <div className={`text-center border-t pt-1 ${small ? "text-xs" : "text-lg"}`} style={{ borderColor: COLORS.darkAlt }}>
+              {year === 0 || !small || year % frequency === 0 ? year : ""}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <AnimatePresence>
+        {discounting && (
+          <motion.svg
+            key={discounting.index}
+            className="absolute inset-0 w-full h-full pointer-events-none"
+            viewBox={`0 0 ${years.length * 100} 100`}
+            preserveAspectRatio="none"
+            initial={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            aria-hidden="true"
+          >
+            <defs>
+              <marker id="presenter-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={COLORS.purple} />
+              </marker>
+            </defs>
+            <motion.path
+              d={`M ${x(discounting.year)} 45 Q ${(x(discounting.year) + x(0)) / 2} 0 ${x(0)} 45`}
+              fill="none"
+              stroke={COLORS.purple}
+              strokeWidth={3}
+              vectorEffect="non-scaling-stroke"
+              markerEnd="url(#presenter-arrow)"
+              initial={{ pathLength: 0 }}
+              animate={{ pathLength: 1 }}
+              transition={{ duration: 0.9, ease: "easeInOut" }}
+            />
+          </motion.svg>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+// Full-screen lecture walk-through of one model's price: each dividend is projected, discounted back
+// to year 0 and added up, with the terminal value last. Arrow keys, Page Up/Down (presentation
+// remotes) and the buttons step through; Escape leaves. inputs are the decimal model inputs.
+export default function PresenterMode({ inputs, selectedModel, onExit }) {
+  const { fmt, t } = useLocale();
+  const [model, setModel] = useState(selectedModel === "all" ? "growth" : selectedModel);
+  const [step, setStep] = useState(0);
+
+  const breakdown = useMemo(() => pvBreakdown(model, inputs), [model, inputs]);
+  const steps = useMemo(() => presentationSteps(breakdown), [breakdown]);
+  const { D0, required } = periodInputs(model, inputs);
+  const frequency = inputs.frequency ?? 1;
+  const last = steps.length - 1;
+  const current = Math.min(step, last);
+  const state = slideState(breakdown, steps, current);
+  const { kind, index } = steps[current];
+  const row = breakdown.rows[index];
+  const config = MODEL_CONFIG[model];
+  const valid = breakdown.rows.length > 0;
+  const dialogRef = useRef(null);
+
+  // Give focus back to whatever had it (the mode switch) on exit
+  useEffect(() => {
+    const opener = document.activeElement;
+    return () => opener?.focus?.();
+  }, []);
+
+  // Take focus on opening, and again when the focused button is disabled at either end
+  useEffect(() => {
+    if (!dialogRef.current.contains(document.activeElement)) dialogRef.current.focus();
+  }, [current]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.defaultPrevented) return;
+      // Leave the model picker its arrow keys and let buttons handle their own activation
+      const activatesButton = (e.key === " " || e.key === "Enter") && e.target.closest?.("button");
+      if (e.target.closest?.("select") || activatesButton) return;
+      if (e.key === "Escape") onExit();
+      else if (NEXT_KEYS.includes(e.key)) setStep((s) => Math.min(Math.min(s, last) + 1, last));
+      else if (PREVIOUS_KEYS.includes(e.key)) setStep((s) => Math.max(Math.min(s, last) - 1, 0));
+      else if (e.key === "Home") setStep(0);
+      else if (e.key === "End") setStep(last);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [last, onExit]);
+
+  const periodName = (year) => t(`chart.period.${frequency}`, { period: year });
+
+  const narration = () => {
+    if (!valid) return t("present.invalid");
+    switch (kind) {
+      case "intro":
+        return t("present.intro", { name: t(config.name), formula: t(config.formula), D0: fmt.money(D0), rate: fmt.percent(required * 100) });
+      case "project": {
+        if (row.kind === "terminal") {
+          return t("present.terminal", { value: sub("P", row.year), amount: fmt.money(row.amount), period: periodName(row.year) });
+        }
+        const previous = index === 0 ? D0 : breakdown.rows[index - 1].amount;
+        return t("present.project", {
+          dividend: sub("D", row.year),
+          previous: sub("D", row.year - 1),
+          growth: fmt.percent((row.amount / previous - 1) * 100),
+          amount: fmt.money(row.amount),
+        });
+      }
+      case "discount":
+        return t("present.discount", {
+          amount: fmt.money(row.amount),
+          rate: fmt.percent(required * 100),
+          exponent: fmt.input(Math.round(Math.log(1 / row.discountFactor) / Math.log(1 + required) * 100) / 100),
+          factor: fmt.number(row.discountFactor, 4),
+          pv: fmt.money(row.pv),
+          total: fmt.money(state.presentValue),
+        });
+      case "component":
+        return t("present.component", { label: t(row.label), pv: fmt.money(row.pv) });
+      default:
+        return t("present.total", { price: fmt.money(breakdown.price) });
+    }
+  };
+
+  const chooseModel = (next) => {
+    setModel(next);
+    setStep(0);
+  };
+
+  const navButton = "px-5 py-2 rounded-lg text-lg font-semibold disabled:opacity-30";
+
+  return (
+    <div
+      ref={dialogRef}
+      tabIndex={-1}
+      className="fixed inset-0 z-50 flex flex-col gap-6 p-8 outline-none"
+      style={{ backgroundColor: COLORS.dark, color: "white" }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="presenter-title"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 id="presenter-title" className="text-4xl font-bold">{t(config.name)}</h2>
+          <p className="text-2xl font-mono mt-1" style={{ color: COLORS.positive }}>{t(config.formula)}</p>
+        </div>
+        <div className="flex items-center gap-4 text-lg">
+          <label className="flex items-center gap-2">
+            {t("present.model")}
+            <select
+              value={model}
+              onChange={(e) => chooseModel(e.target.value)}
+              className="rounded-md px-2 py-1 text-lg"
+              style={{ backgroundColor: COLORS.darkAlt, color: "white" }}
+            >
+              {Object.entries(MODEL_CONFIG).map(([key, m]) => (
+                <option key={key} value={key}>{t(m.name)}</option>
+              ))}
+            </select>
+          </label>
+          <button type="button" className={navButton} style={{ backgroundColor: COLORS.darkAlt }} onClick={onExit}>
+            {t("present.exit")}
+          </button>
+        </div>
+      </div>
+
+      {valid && breakdown.rows[0].kind !== "component" && (
+        <Timeline
+          breakdown={breakdown}
+          state={state}
+          discounting={kind === "discount" ? { index, year: row.year } : null}
+          price={breakdown.price}
+          frequency={frequency}
+        />
+      )}
+
+      {valid && breakdown.rows[0].kind === "component" && (
+        <div className="flex-1 flex flex-col justify-center gap-4">
+          {breakdown.rows.map((component, i) => state.drawn.has(i) && (
+            <motion.div
+              key={component.label}
+              className="flex justify-between gap-6 text-3xl p-4 rounded-lg"
+              style={{ backgroundColor: COLORS.darkAlt }}
+              initial={{ opacity: 0, x: 60 }}
+              animate={{ opacity: 1, x: 0 }}
+            >
+              <span>{t(component.label)}</span>
+              <span className="font-mono" style={{ color: COLORS.positive }}>{fmt.money(component.pv)}</span>
+            </motion.div>
+          ))}
+        </div>
+      )}
+
+      <div className="min-h-28 flex items-center rounded-lg p-6" style={{ backgroundColor: COLORS.darkAlt }}>
+        <AnimatePresence mode="wait">
+          <motion.p
+            key={`${model}-${current}`}
+            className={`text-3xl leading-snug ${kind === "total" ? "font-bold" : ""}`}
+            style={kind === "total" ? { color: COLORS.positive } : undefined}
+            initial={{ opacity: 0, y: 12 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -12 }}
+            transition={{ duration: 0.25 }}
+            aria-live="polite"
+          >
+            {narration()}
+          </motion.p>
+        </AnimatePresence>
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        <button type="button" className={navButton} style={{ backgroundColor: COLORS.primary }} onClick={() => setStep(Math.max(current - 1, 0))} disabled={current === 0}>
+          {t("present.previous")}
+        </button>
+        <span className="text-lg" style={{ color: COLORS.positive }}>
+          {t("present.progress", { step: current + 1, count: steps.length })} · {t("present.keys")}
+        </span>
+        <button type="button" className={navButton} style={{ backgroundColor: COLORS.primary }} onClick={() => setStep(Math.min(current + 1, last))} disabled={current === last}>
+          {t("present.next")}
+        </button>
+      </div>
+    </div>
+  );
+}
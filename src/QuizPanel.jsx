@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { QUESTIONS, EMPTY_SCORES, generateProblem, gradeAnswer, recordAnswer, loadScores, saveScores } from "./quiz";
+import { createRng } from "./monteCarlo";
+import { MODEL_CONFIG } from "./config";
+import { useLocale } from "./locale";
+
+const modelKeys = Object.keys(QUESTIONS);
+
+// In-class drill: a random problem per model, graded within tolerance, with the worked solution
+// after a wrong answer. Scores persist across sessions in localStorage.
+export default function QuizPanel() {
+  const { fmt, t } = useLocale();
+  const [rng] = useState(() => createRng(Date.now()));
+  const [choice, setChoice] = useState("mixed");
+  const nextModel = (pick) => pick === "mixed" ? modelKeys[Math.floor(rng() * modelKeys.length)] : pick;
+  const [problem, setProblem] = useState(() => generateProblem(nextModel("mixed"), rng, { fmt, t }));
+  const [answer, setAnswer] = useState("");
+  const [grade, setGrade] = useState(null);
+  const [scores, setScores] = useState(() => loadScores());
+
+  const newProblem = (pick = choice) => {
+    setProblem(generateProblem(nextModel(pick), rng, { fmt, t }));
+    setAnswer("");
+    setGrade(null);
+  };
+
+  const updateScores = (next) => {
+    setScores(next);
+    saveScores(next);
+  };
+
+  const check = (e) => {
+    e.preventDefault();
+    if (grade || answer.trim() === "") return;
+    const result = gradeAnswer(problem, fmt.parse(answer));
+    setGrade(result);
+    updateScores(recordAnswer(scores, problem.model, result.correct));
+  };
+
+  const model = MODEL_CONFIG[problem.model];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <label htmlFor="quizModel" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("model.selector")}</label>
+          <select
+            id="quizModel"
+            value={choice}
+            onChange={(e) => {
+              setChoice(e.target.value);
+              newProblem(e.target.value);
+            }}
+            className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300"
+          >
+            <option value="mixed">{t("quiz.mixed")}</option>
+            {modelKeys.map((key) => (
+              <option key={key} value={key}>{t(MODEL_CONFIG[key].name)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-center gap-3 text-sm text-gray-700" aria-live="polite">
+          <span>
+            {t("quiz.score")} <strong>{scores.correct}</strong> / {scores.attempted}
+            {scores.attempted > 0 && ` (${fmt.percent(scores.correct / scores.attempted * 100, 0)})`}
+          </span>
+          <button
+            type="button"
+            className="px-2 py-1 text-xs border border-gray-200 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+            onClick={() => updateScores(EMPTY_SCORES)}
+            disabled={scores.attempted === 0}
+          >
+            {t("quiz.resetScores")}
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 rounded-lg border" style={{ backgroundColor: model.color + '10', borderColor: model.color }}>
+        <div className="text-xs font-medium mb-2" style={{ color: model.color }}>{t(model.name)}</div>
+        <p className="text-gray-800">{problem.prompt}</p>
+      </div>
+
+      <form className="flex flex-wrap items-center gap-3" onSubmit={check}>
+        <label htmlFor="quizAnswer" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("quiz.answer", { currency: fmt.currencySymbol })}</label>
+        <div className="w-32">
+          <input
+            id="quizAnswer"
+            type="text"
+            inputMode="decimal"
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            readOnly={grade !== null}
+            className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+        <button type="submit" className="px-3 py-2 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-40" disabled={grade !== null || answer.trim() === ""}>
+          {t("quiz.check")}
+        </button>
+        <button type="button" className="px-3 py-2 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50" onClick={() => newProblem()}>
+          {t(grade ? "quiz.next" : "quiz.skip")}
+        </button>
+      </form>
+
+      {grade && (
+        grade.correct ? (
+          <p className="p-3 rounded-lg border bg-green-50 border-green-200 text-green-800 text-sm" role="status">
+            {t("quiz.correct", { answer: fmt.money(problem.answer) })}
+          </p>
+        ) : (
+          <div className="p-3 rounded-lg border bg-red-50 border-red-200 text-red-800 text-sm" role="status">
+            <p>
+              {t("quiz.incorrect", {
+                answer: fmt.money(problem.answer),
+                difference: isFinite(grade.difference)
+                  ? t(grade.difference > 0 ? "quiz.over" : "quiz.under", { amount: fmt.money(Math.abs(grade.difference)) })
+                  : "",
+              })}
+            </p>
+            <div className="mt-2 font-semibold text-xs">{t("quiz.worked")}</div>
+            <ol className="mt-1 text-xs font-mono text-gray-800 space-y-1 list-decimal list-inside">
+              {problem.steps.map((step, i) => <li key={i}>{step}</li>)}
+            </ol>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react";
+import { flushSync } from "react-dom";
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Legend } from "recharts";
+import { MODEL_CONFIG } from "./config";
+import { useLocale } from "./locale";
+import { inputRows } from "./exporters";
+import { PARAMETERS, STAGE_PARAMETERS } from "./parameters";
+import { pvBreakdown } from "./valuation";
+import { BreakdownTable } from "./PVBreakdown";
+
+// Fixed size so the chart is laid out before printing, without waiting on a resize observer
+const CHART_WIDTH = 680;
+const CHART_HEIGHT = 260;
+
+const sectionClass = "break-inside-avoid";
+const headingClass = "font-serif text-lg text-slate-800 border-b border-gray-300 mb-2";
+
+// Field label for a validateParameters key
+function fieldLabel(t, field) {
+  if (PARAMETERS[field]) return t(PARAMETERS[field].label);
+  const [, index, column] = field.split(".");
+  return column ? t(STAGE_PARAMETERS[column].label, { n: Number(index) + 1 }) : t("stages.title");
+}
+
+// One- or two-page valuation record for printing: inputs and assumptions, every model's price, the
+// cash-flow chart, validation warnings, the PV working of one model and when it was made. results is the series
+// the calculator shows and inputs the model inputs it was priced from; basis is "dividends" or "fcfe",
+// and fcfeErrors are computeFCFE's when FCFE₀ could not be worked out.
+export default function ReportView({ values, inputs, results, selectedModel, fieldErrors, fcfeErrors = {}, basis = "dividends" }) {
+  const { fmt, t } = useLocale();
+  const [generatedAt, setGeneratedAt] = useState(() => new Date());
+
+  // Stamp the time the report is actually printed
+  useEffect(() => {
+    const stamp = () => flushSync(() => setGeneratedAt(new Date()));
+    window.addEventListener("beforeprint", stamp);
+    return () => window.removeEventListener("beforeprint", stamp);
+  }, []);
+
+  const modelKeys = selectedModel === "all" ? Object.keys(MODEL_CONFIG) : [selectedModel];
+  // The working of every model would run to several pages; with "all" show the Gordon model's, as
+  // presenter mode does, and leave the others to the price table
+  const breakdownModel = selectedModel === "all" ? "growth" : selectedModel;
+  const breakdown = pvBreakdown(breakdownModel, inputs);
+  const { timing } = results;
+  const periodLabel = t(`chart.periodColumn.${timing.frequency}`);
+
+  const warnings = [
+    ...Object.entries(fieldErrors).map(([field, message]) => `${fieldLabel(t, field)}: ${t(message)}`),
+    ...Object.values(fcfeErrors).map((message) => t(message)),
+    ...modelKeys.filter((key) => !isFinite(results.prices[key])).map((key) => t("report.noPrice", { name: t(MODEL_CONFIG[key].name) })),
+  ];
+
+  const timestamp = new Intl.DateTimeFormat(fmt.locale, { dateStyle: "long", timeStyle: "short" }).format(generatedAt);
+
+  return (
+    <article className="bg-white rounded-2xl shadow-md p-8 border border-gray-100 text-sm text-black/80 space-y-6 print:shadow-none print:border-0 print:rounded-none print:p-0 print:space-y-4">
+      <header className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="font-serif text-2xl text-slate-800">{t("report.title")}</h1>
+          <p className="text-gray-600">{t("report.generated", { time: timestamp })}</p>
+        </div>
+        <button
+          type="button"
+          className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 print:hidden"
+          onClick={() => window.print()}
+        >
+          {t("report.print")}
+        </button>
+      </header>
+
+      <section className={sectionClass}>
+        <h2 className={headingClass}>{t("report.inputs")}</h2>
+        <div className="grid grid-cols-2 gap-x-8">
+          <table className="text-sm">
+            <tbody>
+              {inputRows(values, t).map(([label, value]) => (
+                <tr key={label}>
+                  <th scope="row" className="pr-4 py-0.5 text-left font-normal text-gray-600">{label}</th>
+                  <td className="py-0.5 text-right font-mono">{isFinite(value) ? fmt.input(value) : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <ul className="space-y-1 text-gray-700">
+            <li>{t("report.model", { name: selectedModel === "all" ? t("model.all") : t(MODEL_CONFIG[selectedModel].name) })}</li>
+            <li>{t(`report.basis.${basis}`)}{isFinite(results.fcfe0) && ` (FCFE₀ = ${fmt.money(results.fcfe0)})`}</li>
+            <li>
+              {t("results.convention", {
+                frequency: t(`results.convention.frequency.${timing.frequency}`),
+                basis: t(`results.convention.${timing.dividendBasis}`),
+                discounting: t(`results.convention.${timing.midYear ? "mid" : "end"}`),
+              })}
+            </li>
+            <li>{t("report.currency", { currency: fmt.currency })}</li>
+          </ul>
+        </div>
+      </section>
+
+      <section className={sectionClass}>
+        <h2 className={headingClass}>{t("report.prices")}</h2>
+        <table className="w-full text-sm">
+          <tbody>
+            {Object.entries(MODEL_CONFIG).map(([key, model]) => (
+              <tr key={key} className={`border-t border-gray-100 ${modelKeys.includes(key) ? "font-semibold" : ""}`}>
+                <th scope="row" className="pr-4 py-1 text-left" style={{ color: model.color }}>{t(model.name)}</th>
+                <td className="pr-4 py-1 font-mono text-gray-600">{t(model.formula)}</td>
+                <td className="py-1 text-right font-mono">{isFinite(results.prices[key]) ? fmt.money(results.prices[key]) : t("results.invalid")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className={sectionClass}>
+        <h2 className={headingClass}>{t("report.warnings")}</h2>
+        {warnings.length > 0 ? (
+          <ul className="list-disc pl-5 text-amber-800">
+            {warnings.map((warning) => <li key={warning}>{warning}</li>)}
+          </ul>
+        ) : (
+          <p className="text-gray-600">{t("report.noWarnings")}</p>
+        )}
+      </section>
+
+      <section className={sectionClass}>
+        <h2 className={headingClass}>{t("report.chart")}</h2>
+        <ComposedChart width={CHART_WIDTH} height={CHART_HEIGHT} data={results.data} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="yearLabel" tick={{ fontSize: 10 }} />
+          <YAxis tickFormatter={fmt.money} tick={{ fontSize: 10 }} />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          {modelKeys.map((key) => MODEL_CONFIG[key]).flatMap((model) => [
+            <Bar key={model.dataKey} dataKey={model.dataKey} name={t(model.name)} fill={model.color} stackId={model.dataKey} isAnimationActive={false} />,
+            model.terminalKey && (
+              <Bar
+                key={model.terminalKey}
+                dataKey={model.terminalKey}
+                name={t("chart.terminalValue", { name: t(model.name) })}
+                fill={model.color}
+                fillOpacity={0.35}
+                stroke={model.color}
+                strokeDasharray="4 2"
+                stackId={model.dataKey}
+                isAnimationActive={false}
+              />
+            ),
+            <Line
+              key={model.priceKey}
+              type="linear"
+              dataKey={model.priceKey}
+              name={t("chart.projectedPrice", { name: t(model.name) })}
+              stroke={model.color}
+              strokeDasharray="6 3"
+              dot={false}
+              isAnimationActive={false}
+            />,
+          ])}
+        </ComposedChart>
+      </section>
+
+      <section className={sectionClass}>
+        <h2 className={headingClass}>{t("report.breakdown")}</h2>
+        <h3 className="font-medium mb-1" style={{ color: MODEL_CONFIG[breakdownModel].color }}>{t(MODEL_CONFIG[breakdownModel].name)}</h3>
+        {selectedModel === "all" && <p className="text-gray-600 mb-1">{t("report.breakdownOne")}</p>}
+        {breakdown.rows.length > 0
+          ? <BreakdownTable breakdown={breakdown} periodLabel={periodLabel} />
+          : <p className="text-gray-500">{t("report.noBreakdown")}</p>}
+      </section>
+    </article>
+  );
+}
@@ -0,0 +1,78 @@
+import React from "react";
+import { RETURN_METHODS, deriveRequiredReturn } from "./requiredReturn";
+import { InfoIcon, NumberInput } from "./ui";
+import { useLocale } from "./locale";
+
+// Inputs for each method; labelled by the returnBuilder.field.<name> messages
+const FIELDS = {
+  capm: ["riskFree", "beta", "erp"],
+  buildUp: ["riskFree", "erp", "sizePremium", "specificPremium"],
+};
+
+// Optional panel that derives the required return by CAPM or the build-up method.
+// builder is { enabled, method, riskFree, beta, erp, sizePremium, specificPremium }.
+export default function RequiredReturnBuilder({ builder, onChange }) {
+  const update = (field, value) => onChange({ ...builder, [field]: value });
+  const { fmt, t } = useLocale();
+  const derived = deriveRequiredReturn(builder, fmt);
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={builder.enabled}
+          onChange={(e) => update("enabled", e.target.checked)}
+        />
+        {t("returnBuilder.title")}
+        <InfoIcon id="returnBuilder">{t("returnBuilder.help")}</InfoIcon>
+      </label>
+
+      {builder.enabled && (
+        <div className="mt-3">
+          <div className="mb-3 inline-flex rounded-lg overflow-hidden border border-gray-200" role="group" aria-label={t("returnBuilder.method")}>
+            {Object.entries(RETURN_METHODS).map(([key, method], i) => (
+              <button
+                key={key}
+                type="button"
+                className={`px-3 py-2 text-sm ${i > 0 ? "border-l" : ""} ${builder.method === key ? "bg-blue-50 text-blue-700 font-semibold" : "bg-white text-gray-600"}`}
+                onClick={() => update("method", key)}
+                aria-pressed={builder.method === key}
+              >
+                {t(method.name)}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
+            {FIELDS[builder.method].map((field) => (
+              <div key={field} className="flex items-center gap-2">
+                <label htmlFor={`rr-${field}`} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                  {t(`returnBuilder.field.${field}`)}
+                  <InfoIcon id={`rr-${field}`}>{t(`returnBuilder.field.${field}.help`)}</InfoIcon>
+                </label>
+                <div className="w-24">
+                  <NumberInput
+                    id={`rr-${field}`}
+                    step={field === "beta" ? "0.05" : "0.1"}
+                    value={builder[field]}
+                    onChange={(value) => update(field, value)}
+                    className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <p className="mt-3 text-xs text-gray-600 font-mono">
+            {t(derived.formula)}
+            {derived.working && <>: {derived.working}</>}
+          </p>
+          {Object.entries(derived.errors).map(([field, error]) => (
+            <p key={field} className="mt-1 text-xs text-red-700" role="alert">{t(error)}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { buildDividendSeries } from "./valuation";
+import { toModelInputs } from "./inputs";
+import { validateParameters } from "./parameters";
+import { COLORS, MODEL_CONFIG } from "./config";
+import { useLocale } from "./locale";
+
+const SCENARIO_COLORS = [COLORS.primary, COLORS.orange, COLORS.purple, COLORS.dark];
+
+// Side-by-side prices per model and overlaid cash flows for two to four saved scenarios, each priced
+// with the timing it was saved under
+export default function ScenarioComparison({ scenarios, selectedModel }) {
+  const { fmt, t } = useLocale();
+  const [fallbackModel, setFallbackModel] = useState("growth");
+  const modelKey = selectedModel === "all" ? fallbackModel : selectedModel;
+  const model = MODEL_CONFIG[modelKey];
+
+  const series = useMemo(
+    () => scenarios.map((scenario) => buildDividendSeries({ ...toModelInputs(scenario.values), ...scenario.timing })),
+    [scenarios]
+  );
+
+  // Scenarios paid at one frequency are charted in its periods; mixed ones are lined up in years, on
+  // the grid of the most frequent payer
+  const frequencies = useMemo(() => scenarios.map((scenario) => scenario.timing.frequency), [scenarios]);
+  const sameFrequency = frequencies.every((frequency) => frequency === frequencies[0]);
+  const axisFrequency = sameFrequency ? frequencies[0] : 1;
+
+  // A scenario's price for a model stands if the inputs that model reads are valid, whatever the
+  // other models' inputs say
+  const invalidModels = useMemo(
+    () => scenarios.map((scenario) => Object.keys(MODEL_CONFIG).filter((key) => Object.keys(validateParameters(scenario.values, key)).length > 0)),
+    [scenarios]
+  );
+
+  const chartData = useMemo(() => {
+    const finest = Math.max(...frequencies);
+    const steps = Math.max(...series.map((s, i) => (s.data.length - 1) * finest / frequencies[i])) + 1;
+    return Array.from({ length: steps }, (_, step) => {
+      const row = { yearLabel: sameFrequency ? step.toString() : fmt.input(step / finest) };
+      scenarios.forEach((scenario, i) => {
+        const period = step * frequencies[i] / finest;
+        const point = Number.isInteger(period) ? series[i].data[period] : undefined;
+        row[scenario.id] = point ? point[model.dataKey] : null;
+      });
+      return row;
+    });
+  }, [scenarios, series, model, frequencies, sameFrequency, fmt]);
+
+  return (
+    <div className="space-y-6">
+      <div className="overflow-x-auto">
+        <table className="text-sm">
+          <thead>
+            <tr className="text-left">
+              <th scope="col" className="pr-6 py-1 text-xs text-gray-500 font-medium">{t("model.selector")}</th>
+              {scenarios.map((scenario, i) => (
+                <th key={scenario.id} scope="col" className="pr-6 py-1 font-semibold" style={{ color: SCENARIO_COLORS[i] }}>
+                  {scenario.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(MODEL_CONFIG).map(([key, config]) => (
+              <tr key={key} className="border-t border-gray-100">
+                <th scope="row" className="pr-6 py-1 text-left font-medium" style={{ color: config.color }}>{t(config.name)}</th>
+                {series.map((s, i) => {
+                  const price = s.prices[key];
+                  const invalid = invalidModels[i].includes(key) || !isFinite(price);
+                  return (
+                    <td key={scenarios[i].id} className="pr-6 py-1 font-mono">
+                      {invalid ? t("results.invalid") : fmt.money(price)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-sm text-gray-600">{t("comparison.chart", { name: t(model.name) })}</p>
+          {selectedModel === "all" && (
+            <select
+              value={fallbackModel}
+              onChange={(e) => setFallbackModel(e.target.value)}
+              aria-label={t("comparison.model")}
+              className="rounded-md shadow-sm px-2 py-1 text-sm border-gray-300"
+            >
+              {Object.entries(MODEL_CONFIG).map(([key, config]) => (
+                <option key={key} value={key}>{t(config.name)}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <ResponsiveContainer width="100%" height={320}>
+          <LineChart data={chartData} margin={{ top: 20, right: 30, left: 50, bottom: 30 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="yearLabel" label={{ value: t(`chart.periods.${axisFrequency}`), position: 'insideBottom', offset: -5 }} />
+            <YAxis tickFormatter={fmt.money} />
+            <Tooltip
+              formatter={(value, name) => [value === null ? t("results.invalid") : fmt.money(value), name]}
+              labelFormatter={(label) => label === "0" ? t("chart.initialInvestment") : t(`chart.period.${axisFrequency}`, { period: label })}
+            />
+            <Legend />
+            {scenarios.map((scenario, i) => (
+              <Line
+                key={scenario.id}
+                type="linear"
+                dataKey={scenario.id}
+                name={scenario.name}
+                stroke={SCENARIO_COLORS[i]}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                connectNulls={!sameFrequency}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
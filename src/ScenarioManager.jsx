@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { addScenario, renameScenario, duplicateScenario, deleteScenario, MAX_COMPARED } from "./scenarios";
+import { isValidValues } from "./inputs";
+import { InfoIcon } from "./ui";
+import { useLocale } from "./locale";
+
+const buttonClass = "px-2 py-1 text-xs border border-gray-200 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-40";
+
+// Save, load, rename, duplicate and delete named scenarios, and pick up to MAX_COMPARED to compare
+export default function ScenarioManager({ scenarios, onChange, onLoad, currentValues, currentTiming, compareIds, onCompareChange }) {
+  const { fmt, t } = useLocale();
+  const [name, setName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+
+  // Blank or malformed inputs would not survive storage
+  const canSave = isValidValues(currentValues);
+
+  const save = () => {
+    if (!canSave) return;
+    onChange(addScenario(scenarios, name, currentValues, currentTiming, t));
+    setName("");
+  };
+
+  const commitRename = () => {
+    onChange(renameScenario(scenarios, editingId, editName));
+    setEditingId(null);
+  };
+
+  const remove = (id) => {
+    onChange(deleteScenario(scenarios, id));
+    onCompareChange(compareIds.filter((compareId) => compareId !== id));
+  };
+
+  const toggleCompare = (id) => onCompareChange(
+    compareIds.includes(id) ? compareIds.filter((compareId) => compareId !== id) : [...compareIds, id]
+  );
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-3">
+        <label htmlFor="scenarioName" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+          {t("scenarios.name")}
+          <InfoIcon id="scenarioName">{t("scenarios.name.help")}</InfoIcon>
+        </label>
+        <input
+          id="scenarioName"
+          type="text"
+          value={name}
+          placeholder={t("scenarios.defaultName", { n: scenarios.length + 1 })}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && save()}
+          className="block w-48 rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+        />
+        <button type="button" className="px-3 py-2 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-40" onClick={save} disabled={!canSave}>
+          {t("scenarios.save")}
+        </button>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-gray-500">{t("scenarios.empty")}</p>
+      ) : (
+        <table className="text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="pr-3 font-medium">{t("scenarios.compare")}</th>
+              <th className="pr-3 font-medium">{t("scenarios.nameColumn")}</th>
+              <th className="pr-3 font-medium">{t("scenarios.summary")}</th>
+              <th className="font-medium"><span className="sr-only">{t("scenarios.actions")}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map((scenario) => (
+              <tr key={scenario.id}>
+                <td className="pr-3 py-1">
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(scenario.id)}
+                    disabled={!compareIds.includes(scenario.id) && compareIds.length >= MAX_COMPARED}
+                    onChange={() => toggleCompare(scenario.id)}
+                    aria-label={t("scenarios.compareOne", { name: scenario.name })}
+                  />
+                </td>
+                <td className="pr-3 py-1">
+                  {editingId === scenario.id ? (
+                    <input
+                      type="text"
+                      value={editName}
+                      autoFocus
+                      onChange={(e) => setEditName(e.target.value)}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") commitRename();
+                        if (e.key === "Escape") setEditingId(null);
+                      }}
+                      aria-label={t("scenarios.rename.label")}
+                      className="block w-40 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300"
+                    />
+                  ) : (
+                    <span className="text-gray-800">{scenario.name}</span>
+                  )}
+                </td>
+                <td className="pr-3 py-1 text-gray-600 text-xs whitespace-nowrap">
+                  {fmt.money(scenario.values.D0)} · {fmt.percent(scenario.values.req)} · {fmt.percent(scenario.values.gConst)}
+                </td>
+                <td className="py-1 space-x-1 whitespace-nowrap">
+                  <button type="button" className={buttonClass} onClick={() => onLoad(scenario)}>{t("scenarios.load")}</button>
+                  <button type="button" className={buttonClass} onClick={() => { setEditingId(scenario.id); setEditName(scenario.name); }}>{t("scenarios.rename")}</button>
+                  <button type="button" className={buttonClass} onClick={() => onChange(duplicateScenario(scenarios, scenario.id, t))}>{t("scenarios.duplicate")}</button>
+                  <button type="button" className={buttonClass} onClick={() => remove(scenario.id)}>{t("scenarios.delete")}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {scenarios.length > 1 && (
+        <p className="mt-2 text-xs text-gray-500">{t("scenarios.compareHint", { max: MAX_COMPARED })}</p>
+      )}
+    </div>
+  );
+}
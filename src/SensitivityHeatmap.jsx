@@ -0,0 +1,147 @@
+import React, { useState, useMemo } from "react";
+import { sensitivityGrid, perpetualGrowth } from "./valuation";
+import { MODEL_CONFIG } from "./config";
+import { useLocale } from "./locale";
+import { InfoIcon, NumberInput } from "./ui";
+
+const GROWTH_MODELS = ["growth", "changing", "hmodel"];
+const STEPS_EACH_SIDE = 3;
+
+const round = (x) => Math.round(x * 1e6) / 1e6;
+
+const rangeAround = (center, step) =>
+  Array.from({ length: 2 * STEPS_EACH_SIDE + 1 }, (_, i) => round(center + (i - STEPS_EACH_SIDE) * step));
+
+function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+// Grid of prices over required return × growth, centred on the current inputs.
+// inputs are the decimal inputs passed to buildDividendSeries.
+export default function SensitivityHeatmap({ inputs, selectedModel }) {
+  const { fmt, t } = useLocale();
+  const [fallbackModel, setFallbackModel] = useState("growth");
+  const [rStep, setRStep] = useState(1);
+  const [gStep, setGStep] = useState(1);
+
+  const modelKey = GROWTH_MODELS.includes(selectedModel) ? selectedModel : fallbackModel;
+  const model = MODEL_CONFIG[modelKey];
+  const currentGrowth = perpetualGrowth(modelKey, inputs);
+
+  // A blank or non-positive step leaves no grid to draw
+  const validSteps = rStep > 0 && gStep > 0;
+  const grid = useMemo(() => {
+    if (!validSteps) return [];
+    const requiredRates = rangeAround(inputs.required, rStep / 100).filter((r) => r > 0);
+    const growthRates = rangeAround(currentGrowth, gStep / 100);
+    return sensitivityGrid(modelKey, inputs, requiredRates, growthRates);
+  }, [modelKey, inputs, currentGrowth, rStep, gStep, validSteps]);
+
+  const prices = grid.flatMap((row) => row.cells.map((cell) => cell.price)).filter(isFinite);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const shade = (price) => (max > min ? (price - min) / (max - min) : 0.5);
+
+  const isCurrent = (required, growth) =>
+    round(required) === round(inputs.required) && round(growth) === round(currentGrowth);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-x-6 gap-y-3 mb-4">
+        {!GROWTH_MODELS.includes(selectedModel) && (
+          <div className="flex items-center gap-2">
+            <label htmlFor="sensitivityModel" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("model.selector")}</label>
+            <select
+              id="sensitivityModel"
+              value={fallbackModel}
+              onChange={(e) => setFallbackModel(e.target.value)}
+              className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300"
+            >
+              {GROWTH_MODELS.map((key) => (
+                <option key={key} value={key}>{t(MODEL_CONFIG[key].name)}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="rStep" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+            {t("sensitivity.rStep")}
+            <InfoIcon id="rStep">{t("sensitivity.rStep.help")}</InfoIcon>
+          </label>
+          <NumberInput
+            id="rStep"
+            step="0.25"
+            value={rStep}
+            onChange={setRStep}
+            className="block w-20 rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="gStep" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+            {t("sensitivity.gStep")}
+            <InfoIcon id="gStep">{t("sensitivity.gStep.help")}</InfoIcon>
+          </label>
+          <NumberInput
+            id="gStep"
+            step="0.25"
+            value={gStep}
+            onChange={setGStep}
+            className="block w-20 rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {!validSteps ? (
+        <p className="text-sm text-red-700" role="alert">{t("sensitivity.error.step")}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="text-xs border-collapse">
+            <caption className="text-left text-sm text-gray-600 mb-2">
+              {t(modelKey === "growth" ? "sensitivity.caption" : "sensitivity.captionTerminal", { name: t(model.name) })}
+            </caption>
+            <thead>
+              <tr>
+                <th scope="col" className="p-2 text-gray-500 font-medium">r \ g</th>
+                {grid[0]?.cells.map((cell) => (
+                  <th key={cell.growth} scope="col" className="p-2 text-gray-700 font-medium">{fmt.percent(cell.growth * 100, 1)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.map((row) => (
+                <tr key={row.required}>
+                  <th scope="row" className="p-2 text-gray-700 font-medium text-right">{fmt.percent(row.required * 100, 1)}</th>
+                  {row.cells.map((cell) => {
+                    const current = isCurrent(row.required, cell.growth);
+                    const level = isFinite(cell.price) ? shade(cell.price) : null;
+                    return (
+                      <td
+                        key={cell.growth}
+                        className={`p-2 text-center border border-white min-w-20 ${current ? "outline outline-2 outline-black font-bold" : ""}`}
+                        style={cell.invalid
+                          ? { backgroundColor: "#fef2f2", color: "#b91c1c" }
+                          : level === null
+                          ? { backgroundColor: "#f3f4f6", color: "#6b7280" }
+                          : { backgroundColor: hexToRgba(model.color, 0.1 + 0.8 * level), color: level > 0.6 ? "white" : "#1f2937" }}
+                        aria-current={current ? "true" : undefined}
+                      >
+                        {cell.invalid ? t("sensitivity.invalid") : isFinite(cell.price) ? fmt.money(cell.price) : t("sensitivity.noPrice")}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="mt-3 text-xs text-gray-500">
+        {t("sensitivity.note")}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+import { SOLVABLE, unknownLabel } from "./solver";
+import { MODEL_CONFIG } from "./config";
+import { InfoIcon, NumberInput } from "./ui";
+import { useLocale } from "./locale";
+
+// "Solve for" inputs: an observed price and the input to back out of it.
+// solver is { enabled, price, unknown, model }; model is only used when "all" is selected.
+export default function SolverPanel({ solver, onChange, selectedModel, model, unknown }) {
+  const update = (field, value) => onChange({ ...solver, [field]: value });
+  const { t } = useLocale();
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={solver.enabled}
+          onChange={(e) => update("enabled", e.target.checked)}
+        />
+        {t("solver.title")}
+        <InfoIcon id="solver">{t("solver.help")}</InfoIcon>
+      </label>
+
+      {solver.enabled && (
+        <div className="mt-3 flex flex-wrap items-end gap-x-6 gap-y-4">
+          <div className="flex items-center gap-2">
+            <label htmlFor="marketPrice" className="font-medium text-gray-700 whitespace-nowrap text-sm">
+              {t("market.price")}
+            </label>
+            <div className="w-24">
+              <NumberInput
+                id="marketPrice"
+                step="0.01"
+                value={solver.price}
+                onChange={(value) => update("price", value)}
+                className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          {selectedModel === "all" && (
+            <div className="flex items-center gap-2">
+              <label htmlFor="solverModel" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("model.selector")}</label>
+              <select
+                id="solverModel"
+                value={model}
+                onChange={(e) => update("model", e.target.value)}
+                className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300"
+              >
+                {Object.entries(MODEL_CONFIG).map(([key, config]) => (
+                  <option key={key} value={key}>{t(config.name)}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            <label htmlFor="solverUnknown" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("solver.solveFor")}</label>
+            <select
+              id="solverUnknown"
+              value={unknown}
+              onChange={(e) => update("unknown", e.target.value)}
+              className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300"
+            >
+              {SOLVABLE[model].map((key) => (
+                <option key={key} value={key}>{t(unknownLabel(model, key))}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
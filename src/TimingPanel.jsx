@@ -0,0 +1,45 @@
+import React from "react";
+import { InfoIcon, RadioGroup } from "./ui";
+import { useLocale } from "./locale";
+import { FREQUENCIES } from "./valuation";
+
+// Payment frequency, which dividend D0 holds and end- or mid-period discounting. timing is
+// { frequency, dividendBasis, midYear } as in DEFAULT_TIMING (valuation.js).
+export default function TimingPanel({ timing, onChange }) {
+  const { t } = useLocale();
+  const update = (field, value) => onChange({ ...timing, [field]: value });
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="font-medium text-gray-700 text-sm flex items-center mb-2">
+        {t("timing.title")}
+        <InfoIcon id="timing">{t("timing.help")}</InfoIcon>
+      </div>
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-3 text-sm">
+        <label className="flex items-center gap-2 text-gray-700">
+          {t("timing.frequency")}
+          <select
+            value={timing.frequency}
+            onChange={(e) => update("frequency", Number(e.target.value))}
+            className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 bg-white"
+          >
+            {FREQUENCIES.map((frequency) => (
+              <option key={frequency} value={frequency}>{t(`timing.frequency.${frequency}`)}</option>
+            ))}
+          </select>
+        </label>
+        <RadioGroup
+          label={t("timing.basis")}
+          className="bg-white"
+          value={timing.dividendBasis}
+          onChange={(value) => update("dividendBasis", value)}
+          options={["last", "next"].map((value) => ({ value, activeClass: "bg-blue-50 text-blue-700", label: t(`timing.basis.${value}`) }))}
+        />
+        <label className="flex items-center gap-2 text-gray-700">
+          <input type="checkbox" checked={timing.midYear} onChange={(e) => update("midYear", e.target.checked)} />
+          {t("timing.midYear")}
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+// CFA-branded color palette
+export const COLORS = {
+  primary: "#4476ff",
+  dark: "#06005a",
+  darkAlt: "#38337b",
+  positive: "#6991ff",
+  negative: "#ea792d",
+  purple: "#7a46ff",
+  purpleAlt: "#50037f",
+  lightBlue: "#4476ff",
+  orange: "#ea792d",
+  darkText: "#06005a",
+};
+
+// Model configurations. name, description and formula are message keys (messages.js).
+export const MODEL_CONFIG = {
+  constant: {
+    name: "model.constant.name",
+    color: "#2563eb",
+    dataKey: "constDiv",
+    priceKey: "constDivPrice",
+    description: "model.constant.description",
+    formula: "model.constant.formula"
+  },
+  growth: {
+    name: "model.growth.name",
+    color: "#16a34a",
+    dataKey: "constGrow",
+    priceKey: "constGrowPrice",
+    terminalKey: "constGrowTV",
+    description: "model.growth.description",
+    formula: "model.growth.formula"
+  },
+  changing: {
+    name: "model.changing.name",
+    color: "#9333ea", 
+    dataKey: "changingGrowth",
+    priceKey: "changingGrowthPrice",
+    terminalKey: "changingGrowthTV",
+    description: "model.changing.description",
+    formula: "model.changing.formula"
+  },
+  hmodel: {
+    name: "model.hmodel.name",
+    color: "#ea580c",
+    dataKey: "hModel",
+    priceKey: "hModelPrice",
+    terminalKey: "hModelTV",
+    description: "model.hmodel.description",
+    formula: "model.hmodel.formula"
+  }
+};
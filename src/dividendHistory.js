@@ -0,0 +1,176 @@
+// Dividend history import: parse pasted or uploaded CSV rows of (date, amount) and estimate D0 and
+// growth from them. Dates are ISO (YYYY-MM-DD); cells may be separated by commas, semicolons or tabs
+// and a header row is skipped. Rates are in percent, like the growth inputs. Nothing is dropped
+// quietly: unreadable rows, repeated dates, dividend cuts and irregular gaps are all listed as issues
+// { line, kind, ...values } for the caller to word and format:
+//   invalid    reason "columns", "date" (text), "amount" (text) or "nonPositive"
+//   duplicate  date
+//   cut        date, change (the percent change, below zero)
+//   irregular  days since the previous payment, expected (the usual spacing in days)
+
+import { msg } from "./messages";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+// Payments a year the calculator and the estimates understand
+export const HISTORY_FREQUENCIES = [1, 2, 4, 12];
+
+// A gap more than this fraction away from the usual spacing counts as irregular
+export const IRREGULAR_TOLERANCE = 0.3;
+
+export const SAMPLE_HISTORY = `date,amount
+2019-03-15,0.50
+2019-06-14,0.50
+2019-09-13,0.50
+2019-12-13,0.50
+2020-03-13,0.53
+2020-06-12,0.53
+2020-09-11,0.53
+2020-12-11,0.53
+2021-03-12,0.56
+2021-06-11,0.56
+2021-09-10,0.56
+2021-12-10,0.56
+2022-03-11,0.60
+2022-06-10,0.60
+2022-09-09,0.60
+2022-12-09,0.60
+2023-03-10,0.63
+2023-06-09,0.63
+2023-09-08,0.63
+2023-12-08,0.63
+`;
+
+// UTC midnight of an ISO date, or null for anything else (including 2023-02-30)
+function parseDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const time = Date.UTC(year, month - 1, day);
+  const date = new Date(time);
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? time : null;
+}
+
+const parseAmount = (text) => /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+
+// Returns { payments, issues }: payments is [{ date, time, amount, line }] sorted by date, where date
+// is the ISO text and time its UTC milliseconds. A first row without digits is taken as a header.
+export function parseDividendCSV(text) {
+  const payments = [];
+  const issues = [];
+  let first = true;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    if (raw.trim() === "") return;
+    const cells = raw.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+    const time = parseDate(cells[0]);
+    const amount = parseAmount(cells[1] ?? "");
+    const isHeader = first && !/\d/.test(raw);
+    first = false;
+    if (isHeader) return;
+
+    if (cells.length < 2) {
+      issues.push({ line, kind: "invalid", reason: "columns" });
+    } else if (time === null) {
+      issues.push({ line, kind: "invalid", reason: "date", text: cells[0] });
+    } else if (Number.isNaN(amount)) {
+      issues.push({ line, kind: "invalid", reason: "amount", text: cells[1] });
+    } else if (amount <= 0) {
+      issues.push({ line, kind: "invalid", reason: "nonPositive" });
+    } else {
+      payments.push({ date: cells[0], time, amount, line });
+    }
+  });
+
+  payments.sort((a, b) => a.time - b.time);
+  return { payments, issues };
+}
+
+const median = (xs) => {
+  const sorted = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// The HISTORY_FREQUENCIES entry closest to the median spacing of payment dates
+function estimateFrequency(gapsInDays) {
+  const perYear = YEAR_DAYS / median(gapsInDays);
+  return HISTORY_FREQUENCIES.reduce((best, f) => Math.abs(Math.log(perYear / f)) < Math.abs(Math.log(perYear / best)) ? f : best);
+}
+
+// Least-squares slope of ys on xs
+function slope(xs, ys) {
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let sxy = 0;
+  let sxx = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - meanX) * (ys[i] - meanY);
+    sxx += (x - meanX) * (x - meanX);
+  });
+  return sxy / sxx;
+}
+
+// Estimates from parsed payments. Returns { D0, frequency, years, cagr, regression, volatility,
+// issues, errors }:
+//   D0          latest payment × frequency, the current annual dividend
+//   cagr        compound growth from the first payment to the last
+//   regression  growth from a least-squares fit of ln(amount) on time
+//   volatility  standard deviation of year-over-year log changes (each payment against the one a year
+//               earlier); NaN with fewer than two such changes
+// The numbers are NaN when errors is non-empty; errors.history is then a message for t. issues lists
+// the cuts and irregular gaps.
+export function analyzeDividends(payments) {
+  const errors = {};
+  const issues = [];
+  const result = { D0: NaN, frequency: NaN, years: NaN, cagr: NaN, regression: NaN, volatility: NaN, issues, errors };
+
+  if (payments.length < 2) {
+    errors.history = msg("history.error.tooFew");
+    return result;
+  }
+
+  const first = payments[0];
+  const last = payments[payments.length - 1];
+  const years = (last.time - first.time) / DAY_MS / YEAR_DAYS;
+  if (!(years > 0)) {
+    errors.history = msg("history.error.sameDay");
+    return result;
+  }
+
+  const gaps = payments.slice(1).map((payment, i) => (payment.time - payments[i].time) / DAY_MS);
+  const frequency = estimateFrequency(gaps.filter((gap) => gap > 0));
+  const expected = YEAR_DAYS / frequency;
+
+  payments.slice(1).forEach((payment, i) => {
+    const previous = payments[i];
+    const gap = gaps[i];
+    if (gap === 0) {
+      issues.push({ line: payment.line, kind: "duplicate", date: payment.date });
+    } else if (Math.abs(gap / expected - 1) > IRREGULAR_TOLERANCE) {
+      issues.push({ line: payment.line, kind: "irregular", days: gap, expected });
+    }
+    if (payment.amount < previous.amount) {
+      issues.push({ line: payment.line, kind: "cut", date: payment.date, change: (payment.amount / previous.amount - 1) * 100 });
+    }
+  });
+  issues.sort((a, b) => a.line - b.line);
+
+  const times = payments.map((payment) => (payment.time - first.time) / DAY_MS / YEAR_DAYS);
+  const logs = payments.map((payment) => Math.log(payment.amount));
+  const changes = payments.slice(frequency).map((payment, i) => Math.log(payment.amount / payments[i].amount));
+  const meanChange = changes.reduce((a, b) => a + b, 0) / changes.length;
+  const variance = changes.reduce((sum, x) => sum + (x - meanChange) * (x - meanChange), 0) / (changes.length - 1);
+
+  return {
+    ...result,
+    D0: last.amount * frequency,
+    frequency,
+    years,
+    cagr: (Math.pow(last.amount / first.amount, 1 / years) - 1) * 100,
+    regression: (Math.exp(slope(times, logs)) - 1) * 100,
+    volatility: changes.length >= 2 ? Math.sqrt(variance) * 100 : NaN,
+  };
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { parseDividendCSV, analyzeDividends, SAMPLE_HISTORY } from "./dividendHistory";
+import { msg } from "./messages";
+
+const annual = (amounts, startYear = 2015) => amounts.map((amount, i) => `${startYear + i}-06-30,${amount}`).join("\n");
+
+describe("parseDividendCSV", () => {
+  it("reads the sample with its header", () => {
+    const { payments, issues } = parseDividendCSV(SAMPLE_HISTORY);
+    expect(issues).toEqual([]);
+    expect(payments).toHaveLength(20);
+    expect(payments[0]).toMatchObject({ date: "2019-03-15", amount: 0.5, line: 2 });
+  });
+
+  it("accepts semicolons, tabs and quotes and sorts by date", () => {
+    const { payments } = parseDividendCSV('"2021-01-05";"1.10"\n2020-01-06\t1.00\n');
+    expect(payments.map((payment) => payment.amount)).toEqual([1, 1.1]);
+  });
+
+  it("reports every row it cannot use", () => {
+    const { payments, issues } = parseDividendCSV("date,amount\n2020-01-01,1\n03/15/2020,1\n2020-02-30,1\n2020-04-01,abc\n2020-05-01,-1\n2020-06-01\n");
+    expect(payments).toHaveLength(1);
+    expect(issues.map((issue) => [issue.line, issue.kind])).toEqual([[3, "invalid"], [4, "invalid"], [5, "invalid"], [6, "invalid"], [7, "invalid"]]);
+    expect(issues.map((issue) => issue.reason)).toEqual(["date", "date", "amount", "nonPositive", "columns"]);
+    expect(issues[0].text).toBe("03/15/2020");
+  });
+
+  it("only skips a first row without numbers as a header", () => {
+    expect(parseDividendCSV("2020-13-01,x\n2021-01-01,1").issues).toHaveLength(1);
+  });
+});
+
+describe("analyzeDividends", () => {
+  it("estimates quarterly history", () => {
+    const result = analyzeDividends(parseDividendCSV(SAMPLE_HISTORY).payments);
+    expect(result.errors).toEqual({});
+    expect(result.issues).toEqual([]);
+    expect(result.frequency).toBe(4);
+    expect(result.D0).toBeCloseTo(2.52, 10);
+    expect(result.cagr).toBeCloseTo((Math.pow(0.63 / 0.5, 1 / result.years) - 1) * 100, 10);
+    expect(result.regression).toBeGreaterThan(5);
+    expect(result.regression).toBeLessThan(7);
+    expect(result.volatility).toBeLessThan(2);
+  });
+
+  it("recovers steady growth exactly", () => {
+    const amounts = [1, 1.05, 1.1025, 1.157625, 1.21550625];
+    const result = analyzeDividends(parseDividendCSV(annual(amounts)).payments);
+    expect(result.frequency).toBe(1);
+    expect(result.D0).toBeCloseTo(1.21550625, 10);
+    expect(result.cagr).toBeCloseTo(5, 1);
+    expect(result.regression).toBeCloseTo(5, 1);
+    expect(result.volatility).toBeCloseTo(0, 1);
+  });
+
+  it("reports cuts, repeated dates and irregular gaps", () => {
+    const text = "2015-06-30,1\n2016-06-30,1.2\n2017-06-30,0.9\n2017-06-30,0.1\n2019-06-30,1\n2020-06-30,1.1";
+    const { issues } = analyzeDividends(parseDividendCSV(text).payments);
+    expect(issues.map((issue) => issue.kind)).toEqual(["cut", "duplicate", "cut", "irregular"]);
+    expect(issues[0]).toMatchObject({ line: 3, date: "2017-06-30" });
+    expect(issues[0].change).toBeCloseTo(-25, 10);
+    expect(issues[3]).toMatchObject({ line: 5, days: 730 });
+    expect(issues[3].expected).toBeCloseTo(365.25, 10);
+  });
+
+  it("needs two payments on different days", () => {
+    expect(analyzeDividends([]).errors.history).toBeDefined();
+    const sameDay = parseDividendCSV("2020-01-01,1\n2020-01-01,2").payments;
+    expect(analyzeDividends(sameDay)).toMatchObject({ D0: NaN, errors: { history: msg("history.error.sameDay") } });
+  });
+});
@@ -0,0 +1,137 @@
+// Embedding protocol for course pages that host the calculator in an iframe.
+// The host names its origin in the iframe's ?origin= parameter (e.g. ?origin=https://course.example).
+// Events, which carry the user's inputs, are posted to that origin only, and messages from any other
+// origin are ignored; without it the calculator neither posts nor listens.
+// The host configures it with a config object, given as JSON in the iframe's ?embed= parameter or
+// posted at any time as { source: HOST_SOURCE, version: EMBED_VERSION, type: "config", config }.
+// A config may hold:
+//   values       calculator inputs in UI units (see inputs.js), any subset
+//   model        the model to select
+//   models       the models offered in the selector (MODEL_KEYS, including "all")
+//   hiddenFields inputs to hide, from EMBED_FIELDS
+//   lockedFields inputs shown read-only, from EMBED_FIELDS
+//   showInputs   false hides the inputs card
+// The calculator posts { source: APP_SOURCE, version: EMBED_VERSION, type, ...payload } to its parent:
+//   ready   { errors }           on load; errors lists config entries that were ignored
+//   config  { errors }           after applying a posted config
+//   inputs  { values, model }    when the inputs change
+//   price   { model, prices, valid, basis } when prices are recomputed; invalid prices are null
+
+import { MODEL_KEYS } from "./urlState";
+import { DEFAULT_VALUES } from "./inputs";
+
+export const EMBED_VERSION = 1;
+export const HOST_SOURCE = "ddm-host";
+export const APP_SOURCE = "ddm-calculator";
+
+export const EMBED_FIELDS = ["D0", "req", "gConst", "stages", "halfLife", "horizon"];
+
+export const DEFAULT_EMBED = {
+  values: {},
+  model: null,
+  models: MODEL_KEYS,
+  hiddenFields: [],
+  lockedFields: [],
+  showInputs: true,
+};
+
+const isNum = (x) => typeof x === "number" && isFinite(x);
+
+// The terminal stage may leave out its (unused) length
+const TERMINAL_YEARS = DEFAULT_VALUES.stages[DEFAULT_VALUES.stages.length - 1].years;
+
+const isValidStages = (stages) => Array.isArray(stages)
+  && stages.length > 0
+  && stages.every((stage, i) => stage && isNum(stage.growth)
+    && ((i === stages.length - 1 && stage.years === undefined) || (Number.isInteger(stage.years) && stage.years >= 0)));
+
+// Returns { config, errors }: config is complete, with unusable entries left at their defaults and
+// named in errors (e.g. "values.D0", "models")
+export function normalizeConfig(raw) {
+  const config = { ...DEFAULT_EMBED, values: {} };
+  const errors = [];
+  if (!raw || typeof raw !== "object") return { config, errors: raw === undefined ? [] : ["config"] };
+
+  if (raw.values && typeof raw.values === "object") {
+    for (const [field, value] of Object.entries(raw.values)) {
+      const valid = field === "stages" ? isValidStages(value) : EMBED_FIELDS.includes(field) && isNum(value);
+      if (valid) config.values[field] = field === "stages" ? value.map(({ growth, years = TERMINAL_YEARS }) => ({ growth, years })) : value;
+      else errors.push(`values.${field}`);
+    }
+  } else if (raw.values !== undefined) {
+    errors.push("values");
+  }
+
+  if (raw.models !== undefined) {
+    const models = Array.isArray(raw.models) ? MODEL_KEYS.filter((key) => raw.models.includes(key)) : [];
+    if (models.length > 0) config.models = models;
+    else errors.push("models");
+  }
+
+  if (raw.model !== undefined) {
+    if (config.models.includes(raw.model)) config.model = raw.model;
+    else errors.push("model");
+  }
+
+  for (const list of ["hiddenFields", "lockedFields"]) {
+    if (raw[list] === undefined) continue;
+    if (Array.isArray(raw[list])) config[list] = EMBED_FIELDS.filter((field) => raw[list].includes(field));
+    else errors.push(list);
+  }
+
+  if (raw.showInputs !== undefined) {
+    if (typeof raw.showInputs === "boolean") config.showInputs = raw.showInputs;
+    else errors.push("showInputs");
+  }
+
+  return { config, errors };
+}
+
+// The config in ?embed=, or the defaults when there is none
+export function configFromQuery(search) {
+  const text = new URLSearchParams(search).get("embed");
+  if (text === null) return { config: DEFAULT_EMBED, errors: [] };
+  try {
+    return normalizeConfig(JSON.parse(text));
+  } catch {
+    return { config: DEFAULT_EMBED, errors: ["embed"] };
+  }
+}
+
+// The model to show under config, keeping current when the config allows it
+export function embedModel(config, current) {
+  if (config.model) return config.model;
+  return config.models.includes(current) ? current : config.models[0];
+}
+
+// The host origin in ?origin=, or null when there is none or it is not an http(s) origin (an opaque
+// "null" origin could only be posted to as "*")
+export function hostOriginFromQuery(search) {
+  const text = new URLSearchParams(search).get("origin");
+  if (!text) return null;
+  try {
+    const url = new URL(text);
+    return url.protocol === "https:" || url.protocol === "http:" ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// A normalized config from a host message, or null for messages that are not for us, including
+// any sent from an origin other than hostOrigin. Other protocol versions are answered with an
+// error rather than guessed at.
+export function readHostMessage(data, origin, hostOrigin) {
+  if (!hostOrigin || origin !== hostOrigin) return null;
+  if (!data || data.source !== HOST_SOURCE || data.type !== "config") return null;
+  if (data.version !== EMBED_VERSION) return { config: null, errors: ["version"] };
+  return normalizeConfig(data.config);
+}
+
+export const embedEvent = (type, payload = {}) => ({ source: APP_SOURCE, version: EMBED_VERSION, type, ...payload });
+
+export const isEmbedded = () => Boolean(window.parent) && window.parent !== window;
+
+// Events go only to hostOrigin (see hostOriginFromQuery), never to "*"
+export function postToHost(type, payload, hostOrigin) {
+  if (hostOrigin && isEmbedded()) window.parent.postMessage(embedEvent(type, payload), hostOrigin);
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  normalizeConfig, configFromQuery, hostOriginFromQuery, embedModel, readHostMessage, embedEvent, postToHost,
+  DEFAULT_EMBED, EMBED_VERSION, HOST_SOURCE, APP_SOURCE,
+} from "./embed";
+
+describe("normalizeConfig", () => {
+  it("fills in defaults", () => {
+    expect(normalizeConfig(undefined)).toEqual({ config: DEFAULT_EMBED, errors: [] });
+    expect(normalizeConfig({ values: { D0: 3 } }).config).toEqual({ ...DEFAULT_EMBED, values: { D0: 3 } });
+  });
+
+  it("keeps the usable entries and names the rest", () => {
+    const { config, errors } = normalizeConfig({
+      values: { D0: 2, req: "9", colour: 1, stages: [{ growth: 12, years: 3 }, { growth: 4 }] },
+      models: ["growth", "hmodel", "bogus"],
+      model: "constant",
+      hiddenFields: ["halfLife", "nope"],
+      lockedFields: "req",
+      showInputs: "no",
+    });
+    expect(config.values).toEqual({ D0: 2, stages: [{ growth: 12, years: 3 }, { growth: 4, years: 5 }] });
+    expect(config.models).toEqual(["growth", "hmodel"]);
+    expect(config.model).toBeNull();
+    expect(config.hiddenFields).toEqual(["halfLife"]);
+    expect(config.lockedFields).toEqual([]);
+    expect(config.showInputs).toBe(true);
+    expect(errors).toEqual(["values.req", "values.colour", "model", "lockedFields", "showInputs"]);
+  });
+
+  it("rejects malformed stage schedules", () => {
+    expect(normalizeConfig({ values: { stages: [] } }).errors).toEqual(["values.stages"]);
+    expect(normalizeConfig({ values: { stages: [{ growth: 5 }, { growth: 3 }] } }).errors).toEqual(["values.stages"]);
+    expect(normalizeConfig({ values: { stages: [{ growth: 5, years: 1.5 }, { growth: 3 }] } }).errors).toEqual(["values.stages"]);
+    expect(normalizeConfig({ models: [] }).errors).toEqual(["models"]);
+    expect(normalizeConfig("all").errors).toEqual(["config"]);
+  });
+});
+
+describe("configFromQuery", () => {
+  it("reads JSON from ?embed=", () => {
+    const search = "?D0=2&embed=" + encodeURIComponent(JSON.stringify({ model: "growth", showInputs: false }));
+    const { config, errors } = configFromQuery(search);
+    expect(errors).toEqual([]);
+    expect(config).toMatchObject({ model: "growth", showInputs: false });
+  });
+
+  it("falls back to the defaults", () => {
+    expect(configFromQuery("?D0=2")).toEqual({ config: DEFAULT_EMBED, errors: [] });
+    expect(configFromQuery("?embed={oops")).toEqual({ config: DEFAULT_EMBED, errors: ["embed"] });
+  });
+});
+
+describe("hostOriginFromQuery", () => {
+  it("reads the host origin from ?origin=", () => {
+    expect(hostOriginFromQuery("?origin=" + encodeURIComponent("https://course.example"))).toBe("https://course.example");
+    expect(hostOriginFromQuery("?origin=https://course.example/unit/3?page=2")).toBe("https://course.example");
+  });
+
+  it("has no host origin without a usable one", () => {
+    expect(hostOriginFromQuery("?D0=2")).toBeNull();
+    expect(hostOriginFromQuery("?origin=")).toBeNull();
+    expect(hostOriginFromQuery("?origin=course.example")).toBeNull();
+    expect(hostOriginFromQuery("?origin=*")).toBeNull();
+    expect(hostOriginFromQuery("?origin=null")).toBeNull();
+    expect(hostOriginFromQuery("?origin=" + encodeURIComponent("data:text/html,hi"))).toBeNull();
+  });
+});
+
+describe("embedModel", () => {
+  it("prefers the configured model, then the current one if offered", () => {
+    const config = normalizeConfig({ models: ["growth", "hmodel"] }).config;
+    expect(embedModel(config, "hmodel")).toBe("hmodel");
+    expect(embedModel(config, "constant")).toBe("growth");
+    expect(embedModel({ ...config, model: "hmodel" }, "growth")).toBe("hmodel");
+  });
+});
+
+describe("host messages", () => {
+  const HOST = "https://course.example";
+  const message = (extra) => ({ source: HOST_SOURCE, version: EMBED_VERSION, type: "config", ...extra });
+
+  it("ignores messages that are not for the calculator", () => {
+    expect(readHostMessage(null, HOST, HOST)).toBeNull();
+    expect(readHostMessage("hello", HOST, HOST)).toBeNull();
+    expect(readHostMessage({ ...message(), source: "devtools" }, HOST, HOST)).toBeNull();
+    expect(readHostMessage(message({ type: "ping" }), HOST, HOST)).toBeNull();
+  });
+
+  it("ignores messages from any origin but the host's", () => {
+    expect(readHostMessage(message(), "https://elsewhere.example", HOST)).toBeNull();
+    expect(readHostMessage(message(), "null", HOST)).toBeNull();
+    expect(readHostMessage(message(), HOST, null)).toBeNull();
+  });
+
+  it("normalizes the posted config", () => {
+    expect(readHostMessage(message({ config: { lockedFields: ["D0"] } }), HOST, HOST).config.lockedFields).toEqual(["D0"]);
+    expect(readHostMessage(message({ version: 2 }), HOST, HOST)).toEqual({ config: null, errors: ["version"] });
+  });
+
+  it("tags outgoing events", () => {
+    expect(embedEvent("price", { valid: true })).toEqual({ source: APP_SOURCE, version: EMBED_VERSION, type: "price", valid: true });
+  });
+});
+
+describe("postToHost", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const embedded = () => {
+    const parent = { postMessage: vi.fn() };
+    vi.stubGlobal("window", { parent });
+    return parent.postMessage;
+  };
+
+  it("posts only to the host origin", () => {
+    const postMessage = embedded();
+    postToHost("inputs", { model: "growth" }, "https://course.example");
+    expect(postMessage).toHaveBeenCalledWith(embedEvent("inputs", { model: "growth" }), "https://course.example");
+  });
+
+  it("posts nothing without a host origin", () => {
+    const postMessage = embedded();
+    postToHost("ready", { errors: [] }, null);
+    postToHost("ready", { errors: [] });
+    expect(postMessage).not.toHaveBeenCalled();
+  });
+});
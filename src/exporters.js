@@ -0,0 +1,132 @@
+// File exports: cash flows as CSV, the chart as SVG/PNG and the valuation summary as JSON.
+// The builders are pure and return strings, worded with a translate function (English by default, see
+// messages.js); downloadFile and svgToPng need a browser and reject with message keys.
+
+import { MODEL_CONFIG } from "./config";
+import { plainValues } from "./inputs";
+import { DEFAULT_TIMING } from "./valuation";
+import { DEFAULT_TRANSLATE } from "./messages";
+
+const csvCell = (value) => {
+  if (value === null || value === undefined || (typeof value === "number" && !isFinite(value))) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+// values are the calculator inputs in UI units (see inputs.js)
+export function inputRows(values, t = DEFAULT_TRANSLATE) {
+  const stages = values.stages.map((stage, i) => {
+    const isTerminal = i === values.stages.length - 1;
+    return isTerminal
+      ? [[t("export.terminalGrowth"), stage.growth]]
+      : [[t("stages.growthLabel", { n: i + 1 }), stage.growth], [t("stages.yearsLabel", { n: i + 1 }), stage.years]];
+  }).flat();
+
+  return [
+    [t("export.D0"), values.D0],
+    [t("export.req"), values.req],
+    [t("export.gConst"), values.gConst],
+    ...stages,
+    [t("export.halfLife"), values.halfLife],
+    [t("export.horizon"), values.horizon],
+  ];
+}
+
+// Input block, model prices, a blank line, then one row per year with every model's cash flow
+// (terminal values and projected prices in their own columns). Year 0 is the negative price paid.
+// Results valued on FCFE carry the starting cash flow as fcfe0. With more than one payment a year
+// the rows are payment periods and the timing convention is listed with the inputs.
+export function toCSV(results, values, t = DEFAULT_TRANSLATE) {
+  const timing = results.timing ?? DEFAULT_TIMING;
+  const models = Object.entries(MODEL_CONFIG);
+  const columns = models.flatMap(([, model]) => [
+    [t(model.name), model.dataKey],
+    ...(model.terminalKey ? [[t("chart.terminalValue", { name: t(model.name) }), model.terminalKey]] : []),
+    [t("chart.projectedPrice", { name: t(model.name) }), model.priceKey],
+  ]);
+
+  const lines = [
+    csvRow([t("export.input"), t("export.value")]),
+    ...inputRows(values, t).map(csvRow),
+    ...(timing.frequency > 1 ? [csvRow([t("export.frequency"), timing.frequency])] : []),
+    ...(timing.dividendBasis === "next" ? [csvRow([t("export.basis"), t("export.basis.next")])] : []),
+    ...(timing.midYear ? [csvRow([t("export.discounting"), t("export.discounting.mid")])] : []),
+    ...(results.fcfe0 !== undefined ? [csvRow([t("export.fcfe0"), results.fcfe0])] : []),
+    ...models.map(([key, model]) => csvRow([t("export.price", { name: t(model.name) }), results.prices[key]])),
+    "",
+    csvRow([t(timing.frequency > 1 ? "export.period" : "export.year"), ...columns.map(([label]) => label)]),
+    ...results.data.map((row) => csvRow([row.year, ...columns.map(([, dataKey]) => row[dataKey])])),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+export function toSummaryJSON(results, values, generatedAt = new Date(), t = DEFAULT_TRANSLATE) {
+  const models = Object.fromEntries(Object.entries(MODEL_CONFIG).map(([key, model]) => {
+    const price = results.prices[key];
+    return [key, { name: t(model.name), formula: t(model.formula), price: isFinite(price) ? price : null }];
+  }));
+  const errors = Object.fromEntries(Object.entries(results.errors).map(([field, error]) => [field, t(error)]));
+
+  return JSON.stringify({
+    generatedAt: generatedAt.toISOString(),
+    inputs: plainValues(values),
+    ...(results.fcfe0 !== undefined && { fcfe0: results.fcfe0 }),
+    horizon: results.horizon,
+    ...(results.timing && { timing: results.timing }),
+    models,
+    errors,
+  }, null, 2);
+}
+
+// Standalone SVG markup for a rendered recharts surface, on a white background
+export function serializeChartSvg(svgElement) {
+  const clone = svgElement.cloneNode(true);
+  const { width, height } = svgElement.getBoundingClientRect();
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+
+  const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "white");
+  clone.insertBefore(background, clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+export function svgToPng({ markup, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error("export.pngFailed")), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("export.svgFailed"));
+    };
+    image.src = url;
+  });
+}
+
+export function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
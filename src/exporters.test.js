@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { toCSV, toSummaryJSON } from "./exporters";
+import { buildDividendSeries } from "./valuation";
+import { DEFAULT_VALUES, toModelInputs } from "./inputs";
+
+describe("exporters", () => {
+  const results = buildDividendSeries(toModelInputs(DEFAULT_VALUES));
+
+  it("writes the inputs, prices and one row per year to CSV", () => {
+    const lines = toCSV(results, DEFAULT_VALUES).trim().split("\n");
+    expect(lines[0]).toBe("Input,Value");
+    expect(lines).toContain("Required return (%),10");
+    expect(lines).toContain("Stage 1 years,5");
+    expect(lines).toContain("Terminal stage growth (%),3");
+    expect(lines).toContain("Constant Dividend Model price,50");
+
+    const header = lines.findIndex((line) => line.startsWith("Year,"));
+    expect(lines[header - 1]).toBe("");
+    expect(lines[header]).toContain("Changing Growth Model terminal value");
+    expect(lines.slice(header + 1)).toHaveLength(results.data.length);
+    expect(lines[header + 1].startsWith("0,-50,")).toBe(true);
+  });
+
+  it("leaves blank cells for models without a price", () => {
+    const invalid = buildDividendSeries(toModelInputs({ ...DEFAULT_VALUES, gConst: 12 }));
+    const csv = toCSV(invalid, { ...DEFAULT_VALUES, gConst: 12 });
+    expect(csv).toContain("Constant Growth Model price,\n");
+  });
+
+  it("records the starting FCFE when valuing free cash flow", () => {
+    const fcfeResults = { ...buildDividendSeries(toModelInputs({ ...DEFAULT_VALUES, D0: 7.5 })), fcfe0: 7.5 };
+    expect(toCSV(fcfeResults, DEFAULT_VALUES)).toContain("Current FCFE (FCFE0),7.5\n");
+    expect(JSON.parse(toSummaryJSON(fcfeResults, DEFAULT_VALUES)).fcfe0).toBe(7.5);
+    expect(JSON.parse(toSummaryJSON(results, DEFAULT_VALUES))).not.toHaveProperty("fcfe0");
+  });
+
+  it("labels payment periods and lists the timing convention", () => {
+    const timing = { frequency: 4, dividendBasis: "next", midYear: true };
+    const quarterly = buildDividendSeries({ ...toModelInputs(DEFAULT_VALUES), ...timing });
+    const lines = toCSV(quarterly, DEFAULT_VALUES).trim().split("\n");
+    expect(lines).toContain("Payments per year,4");
+    expect(lines).toContain("Discounting,Mid-period");
+    expect(lines.some((line) => line.startsWith("Period,"))).toBe(true);
+    expect(JSON.parse(toSummaryJSON(quarterly, DEFAULT_VALUES)).timing).toEqual(timing);
+    expect(toCSV(results, DEFAULT_VALUES)).not.toContain("Payments per year");
+  });
+
+  it("summarises prices and inputs as JSON", () => {
+    const summary = JSON.parse(toSummaryJSON(results, DEFAULT_VALUES, new Date("2026-01-02T03:04:05Z")));
+    expect(summary.generatedAt).toBe("2026-01-02T03:04:05.000Z");
+    expect(summary.inputs).toEqual(DEFAULT_VALUES);
+    expect(summary.models.constant.price).toBeCloseTo(50, 10);
+    expect(summary.models.growth.name).toBe("Constant Growth Model");
+    expect(summary.errors).toEqual({});
+  });
+});
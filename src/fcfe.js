@@ -0,0 +1,57 @@
+// Free cash flow to equity per share, valued with the same growth structures as dividends.
+// FCFE = net income + depreciation - capital expenditure - increase in working capital + net borrowing.
+// computeFCFE returns { value, working, errors }; value is NaN when errors is non-empty. The working
+// is written with fmt, a formatter from format.js (en-US by default); labels and errors are messages
+// for t (see messages.js).
+
+import { DEFAULT_FORMATTER } from "./format";
+import { msg } from "./messages";
+
+export const DEFAULT_FCFE = {
+  enabled: false,
+  source: "components",
+  netIncome: 8,
+  depreciation: 2,
+  capex: 3,
+  workingCapital: 0.5,
+  netBorrowing: 1,
+  fcfe: 7.5,
+};
+
+export const FCFE_COMPONENTS = [
+  ["netIncome", "fcfe.netIncome", 1],
+  ["depreciation", "fcfe.depreciation", 1],
+  ["capex", "fcfe.capex", -1],
+  ["workingCapital", "fcfe.workingCapital", -1],
+  ["netBorrowing", "fcfe.netBorrowing", 1],
+];
+
+const isNum = (x) => typeof x === "number" && isFinite(x);
+
+export function computeFCFE(f, fmt = DEFAULT_FORMATTER) {
+  const errors = {};
+  let value = NaN;
+  let working = "";
+
+  if (f.source === "direct") {
+    if (!isNum(f.fcfe)) errors.fcfe = msg("fcfe.error.number");
+    else value = f.fcfe;
+  } else {
+    for (const [field, label] of FCFE_COMPONENTS) {
+      if (!isNum(f[field])) errors[field] = msg("error.fieldNumber", { label: msg(label) });
+    }
+    if (Object.keys(errors).length === 0) {
+      value = FCFE_COMPONENTS.reduce((sum, [field, , sign]) => sum + sign * f[field], 0);
+      working = FCFE_COMPONENTS
+        .map(([field, , sign], i) => `${i === 0 ? "" : sign > 0 ? " + " : " - "}${fmt.number(f[field])}`)
+        .join("") + ` = ${fmt.number(value)}`;
+    }
+  }
+
+  // The discount models need a positive starting cash flow, as they do for D0
+  if (Object.keys(errors).length === 0 && !(value > 0)) errors.fcfe = msg("fcfe.error.positive");
+  return Object.keys(errors).length === 0 ? { value, working, errors } : { value: NaN, working: "", errors };
+}
+
+// Model inputs with FCFE in place of the current dividend
+export const withFCFE = (inputs, fcfe) => ({ ...inputs, D0: fcfe });
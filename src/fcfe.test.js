@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { computeFCFE, withFCFE, DEFAULT_FCFE } from "./fcfe";
+import { priceModel } from "./valuation";
+
+describe("computeFCFE", () => {
+  it("adds back depreciation and borrowing and subtracts investment", () => {
+    // 8 + 2 - 3 - 0.5 + 1 = 7.50
+    const { value, working, errors } = computeFCFE(DEFAULT_FCFE);
+    expect(value).toBeCloseTo(7.5, 10);
+    expect(working).toBe("8.00 + 2.00 - 3.00 - 0.50 + 1.00 = 7.50");
+    expect(errors).toEqual({});
+  });
+
+  it("accepts a starting FCFE directly", () => {
+    expect(computeFCFE({ ...DEFAULT_FCFE, source: "direct", fcfe: 4 }).value).toBe(4);
+  });
+
+  it("rejects missing components and non-positive FCFE", () => {
+    expect(computeFCFE({ ...DEFAULT_FCFE, capex: NaN }).errors.capex).toBeDefined();
+    const negative = computeFCFE({ ...DEFAULT_FCFE, capex: 20 });
+    expect(negative.errors.fcfe).toBeDefined();
+    expect(negative.value).toBeNaN();
+  });
+});
+
+describe("withFCFE", () => {
+  it("values FCFE with the dividend growth structures", () => {
+    // FCFE₀ = $2.00, g = 5%, r = 10%: V = 2.10 / 0.05 = $42.00
+    const inputs = { D0: 1, required: 0.1, gConst: 0.05 };
+    expect(priceModel("growth", withFCFE(inputs, 2))).toBeCloseTo(42, 10);
+  });
+});
@@ -0,0 +1,64 @@
+// Locale-aware number formatting. createFormatter({ locale, currency }) returns the formatters the
+// UI uses for money, plain numbers and percentages, and the parser for typed input, so a locale
+// change reaches every price, axis tick and label. Percent values are in percent (5 = 5%).
+
+export const LOCALES = {
+  "en-US": "English (US)",
+  "en-GB": "English (UK)",
+  "de-DE": "Deutsch (Deutschland)",
+  "de-CH": "Deutsch (Schweiz)",
+  "fr-FR": "Français (France)",
+  "ja-JP": "日本語 (日本)",
+};
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CHF"];
+
+export const DEFAULT_LOCALE = { locale: "en-US", currency: "USD" };
+
+// Decimal and grouping characters for a locale, e.g. { decimal: ",", group: "." } for de-DE
+export function separators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    decimal: parts.find((part) => part.type === "decimal")?.value ?? ".",
+    group: parts.find((part) => part.type === "group")?.value ?? ",",
+  };
+}
+
+// Reads a number typed in the locale's notation. Grouping characters are ignored and "." is also
+// accepted as the decimal point, so "2.5" and "2,5" both work in de-DE. Malformed text gives NaN.
+export function parseNumber(text, locale = DEFAULT_LOCALE.locale) {
+  const { decimal } = separators(locale);
+  let normalized = String(text).replace(/[\s'’]/g, "").replace(/[−–]/g, "-");
+  if (decimal === "," && normalized.includes(",")) normalized = normalized.replace(/\./g, "").replace(",", ".");
+  else if (decimal === ".") normalized = normalized.replace(/,/g, "");
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized) ? Number(normalized) : NaN;
+}
+
+export function createFormatter({ locale, currency } = DEFAULT_LOCALE) {
+  const currencyFormat = new Intl.NumberFormat(locale, { style: "currency", currency });
+  const inputFormat = new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 10 });
+  const numberFormats = {};
+  const numberFormat = (digits) => numberFormats[digits]
+    ??= new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const percentFormats = {};
+  const percentFormat = (digits) => percentFormats[digits]
+    ??= new Intl.NumberFormat(locale, { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  const money = (x) => currencyFormat.format(x);
+  return {
+    locale,
+    currency,
+    currencySymbol: currencyFormat.formatToParts(0).find((part) => part.type === "currency")?.value ?? currency,
+    money,
+    // Negative amounts in parentheses, as on the chart's bar labels
+    moneyLabel: (x) => x < 0 ? `(${money(-x)})` : money(x),
+    number: (x, digits = 2) => numberFormat(digits).format(x),
+    percent: (x, digits = 2) => percentFormat(digits).format(x / 100),
+    input: (x) => typeof x === "number" && isFinite(x) ? inputFormat.format(x) : "",
+    parse: (text) => parseNumber(text, locale),
+  };
+}
+
+export const DEFAULT_FORMATTER = createFormatter();
+
+export const toSubscript = (n) => String(n).replace(/\d/g, (d) => "₀₁₂₃₄₅₆₇₈₉"[d]);
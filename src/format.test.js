@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { parseNumber, createFormatter, separators, DEFAULT_FORMATTER } from "./format";
+
+describe("parseNumber", () => {
+  it("reads dot-decimal locales and ignores grouping", () => {
+    expect(parseNumber("1,234.5", "en-US")).toBe(1234.5);
+    expect(parseNumber("-0.25", "en-GB")).toBe(-0.25);
+    expect(parseNumber("1e3")).toBe(1000);
+  });
+
+  it("reads comma-decimal locales and still accepts a dot", () => {
+    expect(separators("de-DE").decimal).toBe(",");
+    expect(parseNumber("1.234,5", "de-DE")).toBe(1234.5);
+    expect(parseNumber("2,5", "fr-FR")).toBe(2.5);
+    expect(parseNumber("2.5", "de-DE")).toBe(2.5);
+    expect(parseNumber("1 234,5", "fr-FR")).toBe(1234.5);
+    expect(parseNumber("1’234.5", "de-CH")).toBe(1234.5);
+  });
+
+  it("gives NaN for malformed text", () => {
+    expect(parseNumber("", "en-US")).toBeNaN();
+    expect(parseNumber("abc", "en-US")).toBeNaN();
+    expect(parseNumber("1.2.3", "en-US")).toBeNaN();
+    expect(parseNumber("1,2,3", "de-DE")).toBeNaN();
+  });
+});
+
+describe("createFormatter", () => {
+  it("keeps the en-US defaults", () => {
+    expect(DEFAULT_FORMATTER.money(1234.5)).toBe("$1,234.50");
+    expect(DEFAULT_FORMATTER.moneyLabel(-2)).toBe("($2.00)");
+    expect(DEFAULT_FORMATTER.percent(5)).toBe("5.00%");
+    expect(DEFAULT_FORMATTER.number(1.5, 1)).toBe("1.5");
+    expect(DEFAULT_FORMATTER.currencySymbol).toBe("$");
+  });
+
+  it("formats with the chosen locale and currency", () => {
+    const fmt = createFormatter({ locale: "de-DE", currency: "EUR" });
+    expect(fmt.money(1234.5).replace(/\s/g, " ")).toBe("1.234,50 €");
+    expect(fmt.number(2.5)).toBe("2,50");
+    expect(fmt.currencySymbol).toBe("€");
+    expect(createFormatter({ locale: "ja-JP", currency: "JPY" }).money(1234)).toMatch(/1,234$/);
+  });
+
+  it("round-trips input text", () => {
+    const fmt = createFormatter({ locale: "fr-FR", currency: "EUR" });
+    expect(fmt.input(1234.5)).toBe("1234,5");
+    expect(fmt.parse(fmt.input(1234.5))).toBe(1234.5);
+    expect(fmt.input(NaN)).toBe("");
+  });
+});
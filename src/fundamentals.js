@@ -0,0 +1,56 @@
+// Sustainable growth from fundamentals: g = b × ROE, where b = 1 - payout ratio.
+// Percentages are in percent, like the growth inputs. Returns { payout, retention, roe, growth, errors };
+// the numbers are NaN when errors is non-empty. Errors are messages for t (see messages.js).
+
+import { msg } from "./messages";
+
+export const DEFAULT_FUNDAMENTALS = {
+  payoutSource: "dividends",
+  eps: 5,
+  dps: 2,
+  payoutRatio: 40,
+  roeSource: "direct",
+  roe: 15,
+  netMargin: 5,
+  assetTurnover: 1.5,
+  leverage: 2,
+};
+
+const isNum = (x) => typeof x === "number" && isFinite(x);
+
+// DuPont: ROE = net profit margin × asset turnover × equity multiplier
+export function dupontROE({ netMargin, assetTurnover, leverage }) {
+  return netMargin * assetTurnover * leverage;
+}
+
+export function sustainableGrowth(f) {
+  const errors = {};
+
+  let payout = NaN;
+  if (f.payoutSource === "ratio") {
+    if (!isNum(f.payoutRatio)) errors.payoutRatio = msg("fundamentals.error.payoutNumber");
+    else payout = f.payoutRatio;
+  } else if (!(f.eps > 0)) {
+    errors.eps = msg("fundamentals.error.eps");
+  } else if (!isNum(f.dps) || f.dps < 0) {
+    errors.dps = msg("fundamentals.error.dps");
+  } else {
+    payout = f.dps / f.eps * 100;
+  }
+  if (isFinite(payout) && (payout < 0 || payout > 100)) errors.payoutRatio = msg("fundamentals.error.payoutRange");
+
+  let roe = NaN;
+  if (f.roeSource === "dupont") {
+    if (![f.netMargin, f.assetTurnover, f.leverage].every(isNum)) errors.roe = msg("fundamentals.error.dupont");
+    else roe = dupontROE(f);
+  } else if (!isNum(f.roe)) {
+    errors.roe = msg("fundamentals.error.roe");
+  } else {
+    roe = f.roe;
+  }
+
+  if (Object.keys(errors).length > 0) return { payout: NaN, retention: NaN, roe: NaN, growth: NaN, errors };
+
+  const retention = 100 - payout;
+  return { payout, retention, roe, growth: retention / 100 * roe, errors };
+}
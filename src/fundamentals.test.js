@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { sustainableGrowth, dupontROE, DEFAULT_FUNDAMENTALS } from "./fundamentals";
+
+describe("sustainableGrowth", () => {
+  it("multiplies the retention ratio by ROE", () => {
+    // EPS $5.00, DPS $2.00: payout 40%, b = 60%; ROE 15% gives g = 9%
+    const { payout, retention, growth, errors } = sustainableGrowth(DEFAULT_FUNDAMENTALS);
+    expect(payout).toBeCloseTo(40, 10);
+    expect(retention).toBeCloseTo(60, 10);
+    expect(growth).toBeCloseTo(9, 10);
+    expect(errors).toEqual({});
+  });
+
+  it("accepts a payout ratio directly", () => {
+    const { growth } = sustainableGrowth({ ...DEFAULT_FUNDAMENTALS, payoutSource: "ratio", payoutRatio: 25, roe: 12 });
+    expect(growth).toBeCloseTo(9, 10);
+  });
+
+  it("takes ROE from the DuPont breakdown", () => {
+    // 5% margin × 1.5 turnover × 2.0 leverage = 15% ROE
+    expect(dupontROE({ netMargin: 5, assetTurnover: 1.5, leverage: 2 })).toBeCloseTo(15, 10);
+    const { roe, growth } = sustainableGrowth({ ...DEFAULT_FUNDAMENTALS, roeSource: "dupont", roe: 99 });
+    expect(roe).toBeCloseTo(15, 10);
+    expect(growth).toBeCloseTo(9, 10);
+  });
+
+  it("rejects non-positive EPS and payouts above 100%", () => {
+    expect(sustainableGrowth({ ...DEFAULT_FUNDAMENTALS, eps: 0 }).errors.eps).toBeDefined();
+    const overpaid = sustainableGrowth({ ...DEFAULT_FUNDAMENTALS, dps: 6 });
+    expect(overpaid.errors.payoutRatio).toBeDefined();
+    expect(overpaid.growth).toBeNaN();
+  });
+});
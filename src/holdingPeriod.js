@@ -0,0 +1,33 @@
+// Holding-period return read off a buildDividendSeries result: buy at the year-0 price, collect the
+// cash flows (dividends or FCFE, whichever the bars hold) and sell at the projected price after
+// sellYear years. Yields are decimals of the purchase price, and the total return is the dividend
+// yield plus the capital gains yield. Cash flows are not reinvested.
+
+import { MODEL_CONFIG } from "./config";
+
+// The longest hold the series covers, in years
+export const maxSellYear = (results) => Math.floor(results.horizon / results.timing.frequency);
+
+// null when the model has no price or sellYear is not a whole number of years within the series.
+// annualPriceGrowth is the yearly rate the price moves at; under the constant growth model it is g.
+export function holdingPeriodReturn(results, model, sellYear) {
+  const { dataKey, priceKey } = MODEL_CONFIG[model];
+  const buyPrice = results.data[0][priceKey];
+  if (buyPrice === null || !Number.isInteger(sellYear) || sellYear < 1 || sellYear > maxSellYear(results)) return null;
+
+  const period = sellYear * results.timing.frequency;
+  const dividends = results.data.slice(1, period + 1).reduce((sum, row) => sum + row[dataKey], 0);
+  const salePrice = results.data[period][priceKey];
+  const dividendYield = dividends / buyPrice;
+  const capitalGainsYield = (salePrice - buyPrice) / buyPrice;
+
+  return {
+    buyPrice,
+    dividends,
+    salePrice,
+    dividendYield,
+    capitalGainsYield,
+    totalReturn: dividendYield + capitalGainsYield,
+    annualPriceGrowth: Math.pow(salePrice / buyPrice, 1 / sellYear) - 1,
+  };
+}
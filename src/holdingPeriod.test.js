@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { holdingPeriodReturn, maxSellYear } from "./holdingPeriod";
+import { buildDividendSeries } from "./valuation";
+
+describe("holdingPeriodReturn", () => {
+  const inputs = { D0: 2, required: 0.1, gConst: 0.04, stages: [{ growth: 0.12, years: 4 }, { growth: 0.05 }], halfLife: 2, horizon: 10 };
+  const results = buildDividendSeries(inputs);
+
+  it("splits a one-year Gordon return into D₁/P₀ and g", () => {
+    const hold = holdingPeriodReturn(results, "growth", 1);
+    expect(hold.dividendYield).toBeCloseTo(2.08 / hold.buyPrice, 12);
+    expect(hold.capitalGainsYield).toBeCloseTo(0.04, 12);
+    expect(hold.totalReturn).toBeCloseTo(0.1, 12);
+  });
+
+  it("adds up the dividends to the sale and reports the yearly price growth", () => {
+    const hold = holdingPeriodReturn(results, "growth", 5);
+    const dividends = [1, 2, 3, 4, 5].reduce((sum, t) => sum + 2 * Math.pow(1.04, t), 0);
+    expect(hold.dividends).toBeCloseTo(dividends, 10);
+    expect(hold.salePrice).toBeCloseTo(hold.buyPrice * Math.pow(1.04, 5), 10);
+    expect(hold.annualPriceGrowth).toBeCloseTo(0.04, 12);
+    expect(hold.totalReturn).toBeCloseTo(hold.dividendYield + hold.capitalGainsYield, 12);
+  });
+
+  it("earns r in any single year of the changing model", () => {
+    const first = holdingPeriodReturn(results, "changing", 1);
+    expect(first.totalReturn).toBeCloseTo(0.1, 10);
+    expect(first.capitalGainsYield).toBeGreaterThan(0.05);
+  });
+
+  it("counts payment periods with more than one payment a year", () => {
+    const quarterly = buildDividendSeries({ ...inputs, frequency: 4 });
+    expect(maxSellYear(quarterly)).toBe(10);
+    const hold = holdingPeriodReturn(quarterly, "constant", 2);
+    expect(hold.dividends).toBeCloseTo(4, 10);
+    expect(hold.capitalGainsYield).toBeCloseTo(0, 12);
+  });
+
+  it("returns null without a price or outside the series", () => {
+    expect(holdingPeriodReturn(buildDividendSeries({ ...inputs, gConst: 0.15 }), "growth", 1)).toBeNull();
+    expect(holdingPeriodReturn(results, "growth", 0)).toBeNull();
+    expect(holdingPeriodReturn(results, "growth", 2.5)).toBeNull();
+    expect(holdingPeriodReturn(results, "growth", maxSellYear(results) + 1)).toBeNull();
+  });
+});
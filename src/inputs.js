@@ -0,0 +1,47 @@
+// Calculator inputs as the user edits them: rates in percent, stages as a growth table.
+// Saved scenarios and the URL store this shape; toModelInputs converts it for valuation.js.
+
+export const DEFAULT_VALUES = {
+  D0: 5,
+  req: 10,
+  gConst: 5,
+  stages: [{ growth: 5, years: 5 }, { growth: 3, years: 5 }],
+  halfLife: 2.5,
+  horizon: 10,
+};
+
+// The inputs an estimated growth rate can be applied to: the constant rate or the first or last stage
+export const GROWTH_TARGETS = ["gConst", "firstStage", "terminalStage"];
+
+export function toModelInputs({ D0, req, gConst, stages, halfLife, horizon }) {
+  return {
+    D0,
+    required: req / 100,
+    gConst: gConst / 100,
+    stages: stages.map((stage) => ({ growth: stage.growth / 100, years: stage.years })),
+    halfLife,
+    horizon,
+  };
+}
+
+// Drops UI-only fields (stage ids) so the values can be stored or compared
+export function plainValues({ D0, req, gConst, stages, halfLife, horizon }) {
+  return {
+    D0,
+    req,
+    gConst,
+    stages: stages.map(({ growth, years }) => ({ growth, years })),
+    halfLife,
+    horizon,
+  };
+}
+
+// True when v has every input with the right type; used to vet values read back from storage
+export function isValidValues(v) {
+  const isNum = (x) => typeof x === "number" && isFinite(x);
+  return Boolean(v)
+    && ["D0", "req", "gConst", "halfLife", "horizon"].every((field) => isNum(v[field]))
+    && Array.isArray(v.stages)
+    && v.stages.length > 0
+    && v.stages.every((stage) => stage && isNum(stage.growth) && isNum(stage.years));
+}
@@ -0,0 +1,45 @@
+// The active locale and currency, shared through React context. useLocale() gives components
+// { settings, fmt, t }: fmt is the formatter from format.js and t looks up messages.js.
+// The choice is kept in localStorage; like saved scenarios, storage errors are ignored.
+
+import { createContext, useContext } from "react";
+import { LOCALES, CURRENCIES, DEFAULT_LOCALE, DEFAULT_FORMATTER, createFormatter } from "./format";
+import { translate } from "./messages";
+
+export const STORAGE_KEY = "lm2los1.locale";
+
+export const isValidLocale = (s) => Boolean(s) && s.locale in LOCALES && CURRENCIES.includes(s.currency);
+
+export function loadLocale(storage = globalThis.localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    return isValidLocale(parsed) ? { locale: parsed.locale, currency: parsed.currency } : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+export function saveLocale(settings, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function localeContextValue(settings) {
+  return {
+    settings,
+    fmt: createFormatter(settings),
+    t: (key, params) => translate(settings.locale, key, params),
+  };
+}
+
+export const LocaleContext = createContext({
+  settings: DEFAULT_LOCALE,
+  fmt: DEFAULT_FORMATTER,
+  t: (key, params) => translate(DEFAULT_LOCALE.locale, key, params),
+});
+
+export const useLocale = () => useContext(LocaleContext);
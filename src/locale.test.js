@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { STORAGE_KEY, loadLocale, saveLocale, localeContextValue } from "./locale";
+import { DEFAULT_LOCALE } from "./format";
+import { MESSAGES, translate, msg } from "./messages";
+import { memoryStorage } from "../test/memoryStorage";
+
+describe("translate", () => {
+  it("fills placeholders", () => {
+    expect(translate("en-US", "app.urlNotice", { fields: "D0" })).toContain("invalid values for D0;");
+  });
+
+  it("falls back to the language, then English, then the key", () => {
+    MESSAGES.de = { "app.dismiss": "Schließen" };
+    try {
+      expect(translate("de-CH", "app.dismiss")).toBe("Schließen");
+      expect(translate("de-CH", "app.mode")).toBe("Mode");
+    } finally {
+      delete MESSAGES.de;
+    }
+    expect(translate("en-US", "no.such.key")).toBe("no.such.key");
+  });
+
+  it("takes message descriptors, translating nested ones in params", () => {
+    expect(translate("en-US", msg("error.maxYears", { max: 50 }))).toBe("Must be at most 50 years");
+    expect(translate("en-US", msg("error.fieldNumber", { label: msg("fcfe.capex") }))).toBe("Capital Expenditure must be a number");
+  });
+});
+
+describe("locale settings", () => {
+  it("round-trips through storage and ignores bad data", () => {
+    const storage = memoryStorage();
+    const settings = { locale: "de-DE", currency: "EUR" };
+    expect(saveLocale(settings, storage)).toBe(true);
+    expect(loadLocale(storage)).toEqual(settings);
+    expect(loadLocale(memoryStorage({ [STORAGE_KEY]: "{bad" }))).toEqual(DEFAULT_LOCALE);
+    expect(loadLocale(memoryStorage({ [STORAGE_KEY]: '{"locale":"xx-XX","currency":"USD"}' }))).toEqual(DEFAULT_LOCALE);
+  });
+
+  it("builds the context value from the settings", () => {
+    const { fmt, t } = localeContextValue({ locale: "en-GB", currency: "GBP" });
+    expect(fmt.money(3)).toBe("£3.00");
+    expect(t("card.results")).toBe("Results");
+  });
+});
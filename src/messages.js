@@ -0,0 +1,534 @@
+// UI message catalog. Keys are grouped by screen area; "{name}" placeholders are filled from params.
+// A translation adds a catalog under its locale ("de-CH") or language ("de"); missing keys fall back
+// to English, then to the key itself. Modules that run without a locale (validation, the solver, the
+// model table) give labels as message keys and every error or status as msg(key, params) (a param may
+// be another msg, for a label inside a sentence); translate and useLocale's t accept either.
+
+export const MESSAGES = {
+  en: {
+    "app.mode": "Mode",
+    "app.mode.calculator": "Calculator",
+    "app.mode.practice": "Practice",
+    "app.mode.present": "Present",
+    "app.mode.report": "Report",
+    "app.urlNotice": "The link had invalid values for {fields}; default values were used instead.",
+    "app.dismiss": "Dismiss",
+    "app.validationRequired": "Validation Required",
+    "app.validationRequiredBody": "Correct the highlighted inputs below to see results and visualizations.",
+
+    "card.results": "Results",
+    "card.cashFlows": "Equity Cash Flows",
+    "card.pvBreakdown": "Present Value Breakdown",
+    "card.sensitivity": "Price Sensitivity",
+    "card.simulation": "Price Simulation",
+    "card.holdingPeriod": "Holding-Period Return",
+    "card.calculator": "Dividend Discount Model Calculator",
+    "card.scenarios": "Scenarios",
+    "card.comparison": "Scenario Comparison",
+    "card.practice": "Practice Problems",
+
+    "model.selector": "Model",
+    "model.all": "All",
+    "model.constant": "Constant",
+    "model.growth": "Growth",
+    "model.changing": "Changing",
+    "model.hmodel": "H-Model",
+    "model.constant.name": "Constant Dividend Model",
+    "model.constant.description": "Assumes dividends remain constant forever.",
+    "model.constant.formula": "P = D₀ ÷ r",
+    "model.growth.name": "Constant Growth Model",
+    "model.growth.description": "Assumes constant dividend growth rate forever.",
+    "model.growth.formula": "P = D₁ ÷ (r - g)",
+    "model.changing.name": "Changing Growth Model",
+    "model.changing.description": "Assumes a schedule of growth stages ending in a perpetual terminal stage.",
+    "model.changing.formula": "PV stage dividends + Terminal value",
+    "model.hmodel.name": "H-Model",
+    "model.hmodel.description": "Assumes growth declines linearly from the high rate to the long-term rate over 2H years.",
+    "model.hmodel.formula": "P = [D₀(1 + gL) + D₀H(gS - gL)] ÷ (r - gL)",
+
+    "input.D0": "Current Dividend",
+    "input.D0.help": "Most recent dividend",
+    "input.D1": "Next Dividend",
+    "input.D1.help": "Dividend expected over the next year",
+    "input.req": "Required Return (%)",
+    "input.req.help": "Investor's required return",
+    "input.gConst": "Constant Growth (%)",
+    "input.gConst.help": "Constant dividend growth rate",
+    "input.halfLife": "H-Model Half-life (years)",
+    "input.halfLife.help": "Growth falls from the first stage rate to the terminal rate over 2H years",
+    "input.horizon": "Horizon (years)",
+    "input.horizon.help": "Years of dividends shown on the chart",
+    "input.invalidNumber": "Not a number",
+    "input.slider": "{label} slider",
+
+    "error.number": "Enter a number",
+    "error.positive": "Must be positive",
+    "error.negative": "Must not be negative",
+    "error.belowRequired": "Must be less than the required return",
+    "error.maxYears": "Must be at most {max} years",
+    "error.horizon": "Must be a whole number of years from 1 to {max}",
+    "error.wholeYears": "Must be a whole number of years",
+    "error.noStages": "Add at least one growth stage",
+    "error.terminalGrowth": "Terminal growth must be less than the required return",
+    "error.stagesTotal": "The stages add up to {total} years; the limit is {max}",
+    "error.fieldNumber": "{label} must be a number",
+
+    "valuation.error.D0": "Dividend must be positive",
+    "valuation.error.required": "Required return must be positive",
+    "valuation.error.gConst": "Growth rate must be less than required return",
+    "valuation.error.stages": "At least one growth stage is required",
+    "valuation.error.stageYears": "Stage {n} length must be a whole number of years",
+    "valuation.error.gLong": "Long-term growth must be less than required return",
+    "valuation.error.halfLife": "Half-life must not be negative",
+    "valuation.error.horizon": "Horizon must be a whole number of years from 1 to {max}",
+
+    "timing.title": "Dividend Timing",
+    "timing.help": "How often dividends are paid, which dividend you enter and when payments are discounted",
+    "timing.frequency": "Payments",
+    "timing.frequency.1": "Annual",
+    "timing.frequency.2": "Semi-annual",
+    "timing.frequency.4": "Quarterly",
+    "timing.basis": "Dividend entered",
+    "timing.basis.last": "Last paid (D₀)",
+    "timing.basis.next": "Next expected (D₁)",
+    "timing.midYear": "Mid-year discounting",
+
+    "history.title": "Estimate from dividend history",
+    "history.help": "Paste or upload a CSV of past payments, one date (YYYY-MM-DD) and amount per row",
+    "history.csv": "Dividend history CSV",
+    "history.placeholder": "date,amount\n2023-03-10,0.63\n2023-06-09,0.63",
+    "history.upload": "Upload CSV",
+    "history.sample": "Load sample",
+    "history.clear": "Clear",
+    "history.issues": "Problems found ({count})",
+    "history.issueLine": "Line {line}: {message}",
+    "history.readError": "Could not read {name}",
+    "history.invalid.columns": "Expected a date and an amount",
+    "history.invalid.date": "\"{text}\" is not a date; use YYYY-MM-DD",
+    "history.invalid.amount": "\"{text}\" is not an amount",
+    "history.invalid.nonPositive": "The amount must be positive",
+    "history.duplicate": "Second payment dated {date}; both are included",
+    "history.irregular": "{days} days after the previous payment; about {expected} expected",
+    "history.cut": "Dividend cut of {change} on {date}",
+    "history.error.tooFew": "Enter at least two payments",
+    "history.error.sameDay": "The payments must span more than one day",
+    "history.chart": "Dividend history chart: {count} payments from {first} to {last}",
+    "history.amount": "Dividend",
+    "history.summary": "{count} payments over {years} years, paid {frequency}",
+    "history.frequency.1": "annually",
+    "history.frequency.2": "semi-annually",
+    "history.frequency.4": "quarterly",
+    "history.frequency.12": "monthly",
+    "history.D0": "D₀ (latest payment, annualized) = {amount}",
+    "history.cagr": "CAGR = {rate}",
+    "history.regression": "Log-linear regression growth = {rate}",
+    "history.volatility": "Volatility of yearly changes = {rate}",
+    "history.notEnough": "not enough history",
+    "history.applyD0": "Use as D₀",
+    "history.method": "Growth estimate",
+    "history.method.regression": "Regression",
+    "history.method.cagr": "CAGR",
+    "history.applyTo": "Apply to:",
+    "history.target.gConst": "Constant Growth",
+    "history.target.firstStage": "First Stage",
+    "history.target.terminalStage": "Terminal Stage",
+    "history.aboveRequired": "Growth of {growth} is at or above the {req} required return, so growth models using it will have no finite price.",
+
+    "stages.title": "Changing Growth Stages",
+    "stages.help": "The last stage grows forever and sets the terminal value",
+    "stages.stage": "Stage",
+    "stages.growth": "Growth (%)",
+    "stages.years": "Years",
+    "stages.actions": "Actions",
+    "stages.perpetual": "Perpetual",
+    "stages.growthLabel": "Stage {n} growth (%)",
+    "stages.yearsLabel": "Stage {n} years",
+    "stages.moveUp": "Move stage {n} up",
+    "stages.moveDown": "Move stage {n} down",
+    "stages.remove": "Remove stage {n}",
+    "stages.add": "+ Add stage",
+
+    "results.invalid": "Invalid",
+    "results.implied": "Implied {unknown}",
+    "results.noSolution": "No solution",
+    "results.allSolutions": "All solutions: {roots}",
+    "results.requiredReturn": "Required Return ({method})",
+    "results.fcfeBeside": "FCFE value per share · Dividend model: {price}",
+    "results.equations": "Model Equations",
+    "results.convention": "Convention: {frequency} payments, {basis}, {discounting}.",
+    "results.convention.frequency.1": "annual",
+    "results.convention.frequency.2": "semi-annual",
+    "results.convention.frequency.4": "quarterly",
+    "results.convention.last": "D₀ entered (last dividend paid)",
+    "results.convention.next": "D₁ entered (next year's dividend)",
+    "results.convention.end": "discounted at the end of each period",
+    "results.convention.mid": "discounted mid-period",
+    "results.announcePrice": "{name}: {price}.",
+    "results.announceErrors": "Prices are unavailable until the input errors are corrected.",
+
+    "chart.empty": "Adjust parameters to see cash flows",
+    "chart.debug": "Data points: {count} | Selected: {model}",
+    "chart.model": "Model: {name}",
+    "chart.flow.dividends": "dividend",
+    "chart.flow.fcfe": "FCFE",
+    "chart.showingAll": "Showing: All {flow} models for comparison",
+    "chart.showingModel": "Showing: {name} - {description}",
+    "chart.fcfeNote": " Bars are free cash flow to equity per share, grown at the model's rates.",
+    "chart.horizonExtended": "Horizon extended to {years} years to include the terminal value.",
+    "chart.title": "{name} Cash Flow Chart",
+    "chart.allModels": "All Models",
+    "chart.description": "Bar chart showing {flow} cash flows over {years} years. Year 0 shows the negative initial investment cost.",
+    "chart.descriptionTerminal": " The terminal value is stacked on the dividend in the terminal year.",
+    "chart.periods.1": "Years",
+    "chart.periods.2": "Half-years",
+    "chart.periods.4": "Quarters",
+    "chart.initialInvestment": "Initial Investment",
+    "chart.period.1": "Year {period}",
+    "chart.period.2": "Half-year {period}",
+    "chart.period.4": "Quarter {period}",
+    "chart.terminalValue": "{name} terminal value",
+    "chart.projectedPrice": "{name} projected price",
+    "chart.showPrice": "Show projected price",
+    "chart.descriptionPrice": " A dashed line shows the projected intrinsic value at the end of each period.",
+    "chart.roleDescription": "chart",
+    "chart.keyboardHelp": "Use the left and right arrow keys to read the values year by year.",
+    "chart.point": "{year}: {values}",
+    "chart.showTable": "Show data table",
+    "chart.hideTable": "Hide data table",
+    "chart.periodColumn.1": "Year",
+    "chart.periodColumn.2": "Half-year",
+    "chart.periodColumn.4": "Quarter",
+    "chart.noteFcfeTitle": "FCFE Valuation:",
+    "chart.noteFcfe": "Values equity as the present value of the cash flow available to shareholders after reinvestment and debt financing, whether or not it is paid out.",
+    "chart.noteDividendsTitle": "Dividend Discount Models:",
+    "chart.noteDividends": "Value stocks based on present value of expected future dividend payments.",
+
+    "holding.intro": "Buy at today's intrinsic value, collect the {flow} payments and sell at the projected price. The total return is the dividend yield plus the capital gains yield.",
+    "holding.sellYear": "Sell after (years)",
+    "holding.invalidYear": "Enter a whole number of years from 1 to {max}",
+    "holding.model": "Model",
+    "holding.buyPrice": "Buy price (P₀)",
+    "holding.dividends": "Cash received",
+    "holding.salePrice": "Sale price ({price})",
+    "holding.dividendYield": "Dividend yield",
+    "holding.capitalGainsYield": "Capital gains yield",
+    "holding.totalReturn": "Total return",
+    "holding.priceGrowth": "Price growth per year",
+    "holding.noPrice": "No valid price",
+    "holding.gordonNote": "Under the constant growth model the price grows at g every year, so a one-year hold earns D₁ ÷ P₀ + g = r.",
+
+    "report.title": "Dividend Discount Model Valuation",
+    "report.generated": "Generated {time}",
+    "report.print": "Print report",
+    "report.inputs": "Inputs and Assumptions",
+    "report.model": "Model selected: {name}",
+    "report.basis.dividends": "Cash flows valued: dividends",
+    "report.basis.fcfe": "Cash flows valued: free cash flow to equity",
+    "report.currency": "Amounts in {currency}",
+    "report.prices": "Model Prices",
+    "report.warnings": "Validation Warnings",
+    "report.noWarnings": "No validation warnings.",
+    "report.noPrice": "{name} has no finite price with these inputs.",
+    "report.chart": "Cash Flows and Projected Price",
+    "report.breakdown": "Present Value Breakdown",
+    "report.noBreakdown": "No valid price for these inputs.",
+    "report.breakdownOne": "Only this model's working is shown; the other models' prices are listed above.",
+
+    "present.model": "Model",
+    "present.exit": "Exit",
+    "present.previous": "← Previous",
+    "present.next": "Next →",
+    "present.progress": "Step {step} of {count}",
+    "present.keys": "Arrow keys to step, Esc to exit",
+    "present.invalid": "This model has no price with the current inputs. Exit and correct them, or pick another model.",
+    "present.intro": "{name}: {formula}. We start from D₀ = {D0} and discount at r = {rate} per period.",
+    "present.project": "Project the dividend: {dividend} = {previous} × (1 + {growth}) = {amount}",
+    "present.terminal": "Terminal value at the end of {period}: {value} = {amount}, the price then of every later dividend",
+    "present.discount": "Discount to today: {amount} ÷ (1 + {rate})^{exponent} = {amount} × {factor} = {pv}. Running total {total}",
+    "present.component": "{label} = {pv}",
+    "present.total": "Add up the present values: the price is {price}",
+
+    "breakdown.stable": "Value at long-term growth: D₀(1 + gL) ÷ (r - gL)",
+    "breakdown.premium": "High-growth premium: D₀H(gS - gL) ÷ (r - gL)",
+    "breakdown.component": "Component",
+    "breakdown.value": "Value",
+    "breakdown.price": "Price",
+    "breakdown.dividend": "Dividend",
+    "breakdown.discountFactor": "Discount Factor",
+    "breakdown.pv": "PV of Dividend",
+    "breakdown.cumulativePV": "Cumulative PV",
+    "breakdown.terminal": "Terminal value {value}",
+
+    "multiples.trailingPE": "Trailing P/E",
+    "multiples.leadingPE": "Leading P/E",
+    "multiples.priceToBook": "P/B",
+    "multiples.dividendYield": "Dividend Yield",
+    "multiples.error.eps": "EPS must be positive for P/E multiples",
+    "multiples.error.bookValue": "Book value must be positive for P/B",
+    "multiples.error.price": "Market price must not be negative",
+    "multiples.error.gConst": "Growth must be below the required return",
+    "multiples.title": "Justified Multiples",
+    "multiples.source": "From the constant growth model",
+    "multiples.ratios": " · payout {payout}, ROE {roe}",
+    "multiples.market": "Market {value}",
+    "multiples.verdict.overvalued": "Overvalued",
+    "multiples.verdict.undervalued": "Undervalued",
+    "multiples.verdict.fair": "Fairly valued",
+
+    "market.title": "Market Data for Multiples",
+    "market.help": "Used for justified P/E, P/B and dividend yield",
+    "market.price": "Market Price",
+    "market.price.help": "Current share price; leave at 0 to skip the market comparison",
+    "market.eps": "EPS (E₀)",
+    "market.eps.help": "Trailing earnings per share",
+    "market.bookValue": "Book Value (B₀)",
+    "market.bookValue.help": "Book value of equity per share",
+
+    "returnBuilder.capm": "CAPM",
+    "returnBuilder.capm.formula": "r = Rf + β × ERP",
+    "returnBuilder.buildUp": "Build-up",
+    "returnBuilder.buildUp.formula": "r = Rf + ERP + size premium + specific premium",
+    "returnBuilder.riskFree": "Risk-free rate",
+    "returnBuilder.beta": "Beta",
+    "returnBuilder.erp": "Equity risk premium",
+    "returnBuilder.sizePremium": "Size premium",
+    "returnBuilder.specificPremium": "Company-specific premium",
+    "returnBuilder.title": "Derive required return",
+    "returnBuilder.help": "Sets the required return from CAPM or the build-up method",
+    "returnBuilder.method": "Required return method",
+    "returnBuilder.field.riskFree": "Risk-free Rate (%)",
+    "returnBuilder.field.riskFree.help": "Yield on a default-free government bond",
+    "returnBuilder.field.beta": "Beta",
+    "returnBuilder.field.beta.help": "Sensitivity of the stock's return to the market",
+    "returnBuilder.field.erp": "Equity Risk Premium (%)",
+    "returnBuilder.field.erp.help": "Expected market return above the risk-free rate",
+    "returnBuilder.field.sizePremium": "Size Premium (%)",
+    "returnBuilder.field.sizePremium.help": "Extra return demanded for small companies",
+    "returnBuilder.field.specificPremium": "Company-specific Premium (%)",
+    "returnBuilder.field.specificPremium.help": "Extra return for risks particular to this company",
+
+    "solver.unknown.required": "Required return",
+    "solver.unknown.growth": "Growth rate",
+    "solver.unknown.gShort": "First stage growth",
+    "solver.unknown.years": "High-growth years",
+    "solver.unknown.halfLife": "Half-life H (years)",
+    "solver.pricePositive": "Market price must be positive",
+    "solver.notInModel": "{unknown} does not affect this model's price",
+    "solver.needSecondStage": "Add a second growth stage to solve for the first stage",
+    "solver.noRange": "No feasible range for this unknown with the other inputs",
+    "solver.nearest": "No whole number of years matches the price exactly; showing the closest",
+    "solver.noSolution": "No value in the feasible range reproduces this price",
+    "solver.multiple": "{count} values reproduce this price; showing the one nearest the current input",
+    "solver.converged": "Converged",
+    "solver.title": "Solve from market price",
+    "solver.help": "Back out the input that reproduces an observed price",
+    "solver.solveFor": "Solve For",
+
+    "fcfe.netIncome": "Net Income",
+    "fcfe.depreciation": "Depreciation",
+    "fcfe.capex": "Capital Expenditure",
+    "fcfe.workingCapital": "Increase in Working Capital",
+    "fcfe.netBorrowing": "Net Borrowing",
+    "fcfe.error.number": "FCFE must be a number",
+    "fcfe.error.positive": "FCFE must be positive to value with these models",
+    "fcfe.title": "Value free cash flow to equity (FCFE)",
+    "fcfe.help": "Discounts FCFE per share with the same growth models, for firms that pay little or no dividend",
+    "fcfe.source": "FCFE source",
+    "fcfe.source.components": "From components",
+    "fcfe.source.direct": "Starting FCFE",
+    "fcfe.current": "Current FCFE",
+    "fcfe.current.help": "Most recent free cash flow to equity per share",
+    "fcfe.netIncome.help": "Net income per share",
+    "fcfe.depreciation.help": "Depreciation and other non-cash charges per share",
+    "fcfe.capex.help": "Fixed capital investment per share",
+    "fcfe.workingCapital.help": "Increase in working capital per share (negative for a decrease)",
+    "fcfe.netBorrowing.help": "New debt less repayments per share",
+    "fcfe.working": "FCFE₀ = NI + Dep - FCInv - WCInv + Net borrowing = {working}",
+
+    "fundamentals.error.payoutNumber": "Payout ratio must be a number",
+    "fundamentals.error.eps": "EPS must be positive to compute a payout ratio",
+    "fundamentals.error.dps": "Dividends per share must not be negative",
+    "fundamentals.error.payoutRange": "Payout ratio must be between 0% and 100%",
+    "fundamentals.error.dupont": "DuPont components must be numbers",
+    "fundamentals.error.roe": "ROE must be a number",
+    "fundamentals.title": "Estimate growth from fundamentals",
+    "fundamentals.help": "Sustainable growth g = retention ratio × ROE",
+    "fundamentals.payoutSource": "Payout source",
+    "fundamentals.payoutSource.dividends": "EPS & DPS",
+    "fundamentals.payoutSource.ratio": "Payout ratio",
+    "fundamentals.payoutRatio": "Payout Ratio (%)",
+    "fundamentals.payoutRatio.help": "Share of earnings paid as dividends",
+    "fundamentals.eps": "EPS",
+    "fundamentals.eps.help": "Earnings per share",
+    "fundamentals.dps": "Dividends per Share",
+    "fundamentals.dps.help": "Dividends paid per share",
+    "fundamentals.roeSource": "ROE source",
+    "fundamentals.roeSource.direct": "ROE",
+    "fundamentals.roeSource.dupont": "DuPont",
+    "fundamentals.netMargin": "Net Margin (%)",
+    "fundamentals.netMargin.help": "Net income ÷ sales",
+    "fundamentals.assetTurnover": "Asset Turnover",
+    "fundamentals.assetTurnover.help": "Sales ÷ total assets",
+    "fundamentals.leverage": "Equity Multiplier",
+    "fundamentals.leverage.help": "Total assets ÷ shareholders' equity",
+    "fundamentals.roe": "ROE (%)",
+    "fundamentals.roe.help": "Return on equity",
+    "fundamentals.payout": "Payout = {payout}, retention b = {retention}",
+    "fundamentals.dupont": "ROE = {margin} × {turnover} × {leverage} = {roe}",
+    "fundamentals.growth": "g = b × ROE = {retention} × {roe} = {growth}",
+    "fundamentals.aboveRequired": "Sustainable growth of {growth} is at or above the {req} required return, so growth models using it will have no finite price.",
+
+    "simulation.input.required": "Required return",
+    "simulation.input.growth": "Growth rate",
+    "simulation.input.gShort": "First stage growth",
+    "simulation.input.shortYears": "High-growth years",
+    "simulation.error.value": "Value must be a number",
+    "simulation.error.normal": "Mean, SD and bounds must be numbers",
+    "simulation.error.sd": "SD must not be negative",
+    "simulation.error.bounds": "Lower bound must not exceed upper bound",
+    "simulation.error.mean": "Mean must lie within the bounds",
+    "simulation.error.uniform": "Bounds must be numbers",
+    "simulation.error.triangular": "Min, mode and max must be numbers",
+    "simulation.error.mode": "Need min ≤ mode ≤ max",
+    "simulation.error.type": "Unknown distribution",
+    "simulation.error.draws": "Draws must be a whole number from 100 to {max}",
+    "simulation.error.seed": "Seed must be a whole number",
+    "simulation.input.halfLife": "Half-life H (years)",
+    "simulation.label": "{label}",
+    "simulation.percentLabel": "{label} (%)",
+    "simulation.distribution": "{label} distribution",
+    "simulation.type.fixed": "Fixed",
+    "simulation.type.normal": "Normal",
+    "simulation.type.uniform": "Uniform",
+    "simulation.type.triangular": "Triangular",
+    "simulation.field.value": "Value",
+    "simulation.field.mean": "Mean",
+    "simulation.field.sd": "SD",
+    "simulation.field.min": "Min",
+    "simulation.field.max": "Max",
+    "simulation.field.mode": "Mode",
+    "simulation.draws": "Draws",
+    "simulation.draws.help": "Number of simulated input sets (100 to {max})",
+    "simulation.seed": "Seed",
+    "simulation.seed.help": "The same seed and inputs give the same results",
+    "simulation.reset": "Reset to current inputs",
+    "simulation.run": "Run simulation",
+    "simulation.running": "Running… {progress}",
+    "simulation.workerFailed": "The simulation could not run",
+    "simulation.unreadable": "The simulation result could not be read",
+    "simulation.noPrice": "No draw produced a finite price ({dropped} dropped).",
+    "simulation.mean": "Mean",
+    "simulation.median": "Median",
+    "simulation.percentile": "{p}th percentile",
+    "simulation.priced": "Priced draws",
+    "simulation.droppedGrowth": "Dropped (g ≥ r)",
+    "simulation.droppedOther": "Dropped (other)",
+    "simulation.price": "Price",
+
+    "sensitivity.rStep": "Return Step (%)",
+    "sensitivity.rStep.help": "Spacing between rows",
+    "sensitivity.gStep": "Growth Step (%)",
+    "sensitivity.gStep.help": "Spacing between columns",
+    "sensitivity.caption": "{name} price by required return (rows) and growth rate (columns)",
+    "sensitivity.captionTerminal": "{name} price by required return (rows) and terminal growth rate (columns)",
+    "sensitivity.invalid": "g ≥ r",
+    "sensitivity.noPrice": "n/a",
+    "sensitivity.error.step": "Both steps must be positive numbers",
+    "sensitivity.note": "Outlined cell: current inputs. Cells marked \"g ≥ r\" have no finite price because growth is not below the required return.",
+
+    "scenarios.defaultName": "Scenario {n}",
+    "scenarios.copyName": "{name} (copy)",
+    "scenarios.name": "Scenario Name",
+    "scenarios.name.help": "Saves the current inputs in this browser",
+    "scenarios.save": "Save current inputs",
+    "scenarios.empty": "No saved scenarios yet.",
+    "scenarios.compare": "Compare",
+    "scenarios.nameColumn": "Name",
+    "scenarios.summary": "D₀ · r · g",
+    "scenarios.actions": "Actions",
+    "scenarios.compareOne": "Compare {name}",
+    "scenarios.rename.label": "Scenario name",
+    "scenarios.load": "Load",
+    "scenarios.rename": "Rename",
+    "scenarios.duplicate": "Duplicate",
+    "scenarios.delete": "Delete",
+    "scenarios.compareHint": "Tick two to {max} scenarios to compare them side by side.",
+
+    "comparison.chart": "{name} cash flows by scenario",
+    "comparison.model": "Model to compare",
+
+    "quiz.prompt": "{given} {setup} {question}",
+    "quiz.given": "A stock has just paid a dividend of {D0} and investors require a return of {req}.",
+    "quiz.setup.constant": "The dividend is expected to stay the same forever.",
+    "quiz.setup.growth": "Dividends are expected to grow at {growth} a year forever.",
+    "quiz.setup.changing": "Dividends are expected to grow at {gShort} for {years} years and at {gLong} a year after that.",
+    "quiz.setup.hmodel": "Dividend growth of {gShort} is expected to decline linearly to {gLong} over {years} years (H = {H}) and stay there.",
+    "quiz.ask.price": "What is the stock worth today?",
+    "quiz.ask.nextDividend": "What dividend is expected next year (D₁)?",
+    "quiz.ask.terminalValue": "What is the terminal value at the end of year {years} ({value})?",
+    "quiz.ask.hmodel.price": "Using the H-model, what is the stock worth today?",
+    "quiz.ask.hmodel.premium": "Using the H-model, what part of the value comes from the above-normal growth?",
+    "quiz.stableValue": "Stable value",
+    "quiz.premium": "Premium",
+    "quiz.pvOf": "PV of {value}",
+    "quiz.mixed": "Mixed",
+    "quiz.score": "Score:",
+    "quiz.resetScores": "Reset scores",
+    "quiz.answer": "Your answer ({currency})",
+    "quiz.check": "Check",
+    "quiz.next": "Next problem",
+    "quiz.skip": "Skip",
+    "quiz.correct": "Correct: {answer}.",
+    "quiz.incorrect": "Not quite: the answer is {answer}{difference}.",
+    "quiz.over": " (you were {amount} over)",
+    "quiz.under": " (you were {amount} under)",
+    "quiz.worked": "Worked solution",
+
+    "export.input": "Input",
+    "export.value": "Value",
+    "export.D0": "Current dividend (D0)",
+    "export.req": "Required return (%)",
+    "export.gConst": "Constant growth (%)",
+    "export.terminalGrowth": "Terminal stage growth (%)",
+    "export.halfLife": "H-model half-life (years)",
+    "export.horizon": "Horizon (years)",
+    "export.frequency": "Payments per year",
+    "export.basis": "Dividend entered",
+    "export.basis.next": "D1 (next year)",
+    "export.discounting": "Discounting",
+    "export.discounting.mid": "Mid-period",
+    "export.fcfe0": "Current FCFE (FCFE0)",
+    "export.price": "{name} price",
+    "export.period": "Period",
+    "export.year": "Year",
+    "export.pngFailed": "PNG conversion failed",
+    "export.svgFailed": "Could not render chart SVG",
+    "export.menu": "Export ▾",
+    "export.csv": "Cash flows (CSV)",
+    "export.svg": "Chart (SVG)",
+    "export.png": "Chart (PNG)",
+    "export.json": "Summary (JSON)",
+    "export.notRendered": "The chart is not rendered yet",
+
+    "ui.moreInfo": "More information",
+
+    "locale.language": "Number format",
+    "locale.currency": "Currency",
+  },
+};
+
+export const msg = (key, params) => ({ key, params });
+
+export function translate(locale, key, params = {}) {
+  if (typeof key === "object") return translate(locale, key.key, key.params);
+  const language = locale.split("-")[0];
+  const message = MESSAGES[locale]?.[key] ?? MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "object" && value !== null ? translate(locale, value) : String(value);
+  });
+}
+
+// English wording for the exports and other output made outside the React tree
+export const DEFAULT_TRANSLATE = (key, params) => translate("en", key, params);
@@ -0,0 +1,164 @@
+// Monte Carlo pricing under uncertain inputs. Pure and seeded, so a run can be reproduced exactly;
+// monteCarlo.worker.js runs it off the main thread.
+//
+// A distribution is { type, ... } with rates as decimals:
+//   fixed:      { value }
+//   normal:     { mean, sd, min, max }  (redrawn until inside [min, max])
+//   uniform:    { min, max }
+//   triangular: { min, mode, max }
+
+import { priceModel, perpetualGrowth, withPerpetualGrowth } from "./valuation";
+import { msg } from "./messages";
+
+// Uncertain inputs and the models they apply to; labels are message keys (see messages.js)
+export const SIMULATED_INPUTS = {
+  required: { label: "simulation.input.required", percent: true, models: ["constant", "growth", "changing", "hmodel"] },
+  growth: { label: "simulation.input.growth", percent: true, models: ["growth", "changing", "hmodel"] },
+  gShort: { label: "simulation.input.gShort", percent: true, models: ["changing", "hmodel"] },
+  shortYears: { label: "simulation.input.shortYears", percent: false, models: ["changing", "hmodel"] },
+};
+
+export const MAX_DRAWS = 50000;
+const MAX_REDRAWS = 1000;
+
+// mulberry32: small, fast and good enough for simulation; returns floats in [0, 1)
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// The first problem with a distribution's parameters as a message for t, or null
+export function distributionErrors(dist) {
+  const isNum = (x) => typeof x === "number" && isFinite(x);
+  switch (dist.type) {
+    case "fixed": return isNum(dist.value) ? null : msg("simulation.error.value");
+    case "normal":
+      if (![dist.mean, dist.sd, dist.min, dist.max].every(isNum)) return msg("simulation.error.normal");
+      if (dist.sd < 0) return msg("simulation.error.sd");
+      if (dist.min > dist.max) return msg("simulation.error.bounds");
+      if (dist.mean < dist.min || dist.mean > dist.max) return msg("simulation.error.mean");
+      return null;
+    case "uniform":
+      if (![dist.min, dist.max].every(isNum)) return msg("simulation.error.uniform");
+      return dist.min > dist.max ? msg("simulation.error.bounds") : null;
+    case "triangular":
+      if (![dist.min, dist.mode, dist.max].every(isNum)) return msg("simulation.error.triangular");
+      return dist.min <= dist.mode && dist.mode <= dist.max ? null : msg("simulation.error.mode");
+    default:
+      return msg("simulation.error.type");
+  }
+}
+
+export function sampleDistribution(dist, rng) {
+  switch (dist.type) {
+    case "fixed":
+      return dist.value;
+    case "normal": {
+      for (let i = 0; i < MAX_REDRAWS; i++) {
+        const x = dist.mean + dist.sd * standardNormal(rng);
+        if (x >= dist.min && x <= dist.max) return x;
+      }
+      return dist.mean;
+    }
+    case "uniform":
+      return dist.min + (dist.max - dist.min) * rng();
+    case "triangular": {
+      const { min, mode, max } = dist;
+      if (max === min) return min;
+      const u = rng();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default:
+      return NaN;
+  }
+}
+
+const withFirstStage = (inputs, field, value) =>
+  ({ ...inputs, stages: [{ ...inputs.stages[0], [field]: value }, ...inputs.stages.slice(1)] });
+
+// For the H-model the high-growth years are its half-life H; stage lengths are whole years
+function applyDraw(model, inputs, draw) {
+  let next = { ...inputs, required: draw.required };
+  if (draw.growth !== undefined) next = withPerpetualGrowth(model, next, draw.growth);
+  if (draw.gShort !== undefined) next = withFirstStage(next, "growth", draw.gShort);
+  if (draw.shortYears !== undefined) {
+    next = model === "hmodel"
+      ? { ...next, halfLife: Math.max(0, draw.shortYears) }
+      : withFirstStage(next, "years", Math.max(0, Math.round(draw.shortYears)));
+  }
+  return next;
+}
+
+export function quantile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const index = (sorted.length - 1) * p;
+  const lo = Math.floor(index);
+  const hi = Math.ceil(index);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (index - lo);
+}
+
+export function histogram(sorted, binCount = 30) {
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = max > min ? (max - min) / binCount : 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const price of sorted) {
+    bins[Math.min(binCount - 1, Math.floor((price - min) / width))].count++;
+  }
+  return bins;
+}
+
+// distributions maps SIMULATED_INPUTS keys to distributions; inputs not listed keep their current
+// value. Draws without a finite price are dropped and counted in `dropped`; `growthAtOrAboveReturn`
+// counts the subset dropped because g ≥ r.
+export function runSimulation({ model, inputs, distributions, draws, seed, onProgress, progressEvery = 1000 }) {
+  const rng = createRng(seed);
+  const keys = Object.keys(distributions).filter((key) => SIMULATED_INPUTS[key]?.models.includes(model));
+  const prices = [];
+  let dropped = 0;
+  let growthAtOrAboveReturn = 0;
+
+  for (let i = 0; i < draws; i++) {
+    const draw = { required: inputs.required };
+    for (const key of keys) draw[key] = sampleDistribution(distributions[key], rng);
+
+    const drawnInputs = applyDraw(model, inputs, draw);
+    const price = priceModel(model, drawnInputs);
+    if (isFinite(price)) {
+      prices.push(price);
+    } else {
+      dropped++;
+      if (model !== "constant" && perpetualGrowth(model, drawnInputs) >= drawnInputs.required) growthAtOrAboveReturn++;
+    }
+
+    if (onProgress && (i + 1) % progressEvery === 0) onProgress((i + 1) / draws);
+  }
+
+  prices.sort((a, b) => a - b);
+  const mean = prices.length > 0 ? prices.reduce((sum, p) => sum + p, 0) / prices.length : NaN;
+  return {
+    draws,
+    valid: prices.length,
+    dropped,
+    growthAtOrAboveReturn,
+    mean,
+    percentiles: Object.fromEntries([5, 25, 50, 75, 95].map((p) => [p, quantile(prices, p / 100)])),
+    histogram: histogram(prices),
+  };
+}
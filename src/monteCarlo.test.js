@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import { createRng, sampleDistribution, distributionErrors, quantile, runSimulation } from "./monteCarlo";
+import { priceModel } from "./valuation";
+
+const inputs = {
+  D0: 2,
+  required: 0.1,
+  gConst: 0.05,
+  stages: [{ growth: 0.2, years: 3 }, { growth: 0.05 }],
+  halfLife: 2.5,
+};
+
+describe("createRng", () => {
+  it("repeats the same sequence for the same seed", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng(43);
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect(c()).not.toBe(first[0]);
+    expect(first.every((x) => x >= 0 && x < 1)).toBe(true);
+  });
+});
+
+describe("sampleDistribution", () => {
+  const rng = createRng(1);
+  const draw = (dist, n = 2000) => Array.from({ length: n }, () => sampleDistribution(dist, rng));
+
+  it("keeps bounded normal draws inside the bounds", () => {
+    const xs = draw({ type: "normal", mean: 0.1, sd: 0.05, min: 0.08, max: 0.12 });
+    expect(Math.min(...xs)).toBeGreaterThanOrEqual(0.08);
+    expect(Math.max(...xs)).toBeLessThanOrEqual(0.12);
+  });
+
+  it("centres uniform and triangular draws where expected", () => {
+    const uniform = draw({ type: "uniform", min: 0, max: 1 });
+    expect(uniform.reduce((s, x) => s + x, 0) / uniform.length).toBeCloseTo(0.5, 1);
+
+    // Triangular mean is (min + mode + max) / 3
+    const triangular = draw({ type: "triangular", min: 0, mode: 0.3, max: 0.6 });
+    expect(triangular.reduce((s, x) => s + x, 0) / triangular.length).toBeCloseTo(0.3, 1);
+    expect(Math.max(...triangular)).toBeLessThanOrEqual(0.6);
+  });
+
+  it("validates parameters", () => {
+    expect(distributionErrors({ type: "triangular", min: 0, mode: 2, max: 1 })).not.toBeNull();
+    expect(distributionErrors({ type: "normal", mean: 0.1, sd: -1, min: 0, max: 1 })).not.toBeNull();
+    expect(distributionErrors({ type: "uniform", min: 0, max: 1 })).toBeNull();
+  });
+});
+
+describe("quantile", () => {
+  it("interpolates between sorted values", () => {
+    expect(quantile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+    expect(quantile([0, 10], 0.25)).toBe(2.5);
+  });
+});
+
+describe("runSimulation", () => {
+  const distributions = {
+    required: { type: "normal", mean: 0.1, sd: 0.01, min: 0.07, max: 0.13 },
+    growth: { type: "uniform", min: 0.03, max: 0.07 },
+  };
+
+  it("is reproducible for a seed", () => {
+    const a = runSimulation({ model: "growth", inputs, distributions, draws: 2000, seed: 7 });
+    const b = runSimulation({ model: "growth", inputs, distributions, draws: 2000, seed: 7 });
+    expect(a).toEqual(b);
+    expect(a.valid + a.dropped).toBe(2000);
+    expect(a.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(a.valid);
+  });
+
+  it("collapses to the point price when every input is fixed", () => {
+    const fixed = { required: { type: "fixed", value: 0.1 }, growth: { type: "fixed", value: 0.05 } };
+    const result = runSimulation({ model: "growth", inputs, distributions: fixed, draws: 100, seed: 1 });
+    expect(result.mean).toBeCloseTo(priceModel("growth", inputs), 10);
+    expect(result.percentiles[5]).toBeCloseTo(result.percentiles[95], 10);
+  });
+
+  it("drops and counts draws where growth reaches the required return", () => {
+    const overlapping = {
+      required: { type: "uniform", min: 0.06, max: 0.1 },
+      growth: { type: "uniform", min: 0.05, max: 0.09 },
+    };
+    const result = runSimulation({ model: "changing", inputs, distributions: overlapping, draws: 1000, seed: 3 });
+    expect(result.dropped).toBeGreaterThan(0);
+    expect(result.growthAtOrAboveReturn).toBe(result.dropped);
+    expect(result.valid).toBe(1000 - result.dropped);
+  });
+
+  it("reports progress", () => {
+    const fractions = [];
+    runSimulation({ model: "constant", inputs, distributions, draws: 3000, seed: 1, onProgress: (f) => fractions.push(f) });
+    expect(fractions).toEqual([1 / 3, 2 / 3, 1]);
+  });
+});
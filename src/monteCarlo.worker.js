@@ -0,0 +1,16 @@
+// Runs a Monte Carlo simulation off the main thread. Posts { type: "progress", fraction } while
+// running, then { type: "done", result } or { type: "error", message }.
+
+import { runSimulation } from "./monteCarlo";
+
+self.onmessage = (event) => {
+  try {
+    const result = runSimulation({
+      ...event.data,
+      onProgress: (fraction) => self.postMessage({ type: "progress", fraction }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
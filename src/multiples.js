@@ -0,0 +1,59 @@
+// Justified multiples implied by the Gordon (constant growth) model, compared with market multiples.
+// inputs are model inputs (rates as decimals); market is { price, eps, bookValue } per share, where
+// eps is trailing earnings E₀ and bookValue is B₀. The payout ratio D₀ ÷ E₀ is assumed to hold, so
+// E₁ = E₀(1 + g) and ROE = E₁ ÷ B₀. A price of 0 skips the market comparison. The multiples are
+// annual whatever the payment frequency; with dividendBasis "next" the dividend entered is D₁.
+// Labels are message keys and errors are messages for t (see messages.js).
+
+import { msg } from "./messages";
+
+export const DEFAULT_MARKET = { price: 90, eps: 8, bookValue: 40 };
+
+// Market within this fraction of the justified value counts as fairly valued
+export const FAIR_TOLERANCE = 0.02;
+
+export const MULTIPLES = {
+  trailingPE: { label: "multiples.trailingPE", formula: "P₀/E₀ = (D₀/E₀)(1 + g) ÷ (r - g)", percent: false },
+  leadingPE: { label: "multiples.leadingPE", formula: "P₀/E₁ = (D₁/E₁) ÷ (r - g)", percent: false },
+  priceToBook: { label: "multiples.priceToBook", formula: "P₀/B₀ = (ROE - g) ÷ (r - g)", percent: false },
+  dividendYield: { label: "multiples.dividendYield", formula: "D₁/P₀ = r - g", percent: true },
+};
+
+// A high multiple or a low yield means the market pays more than the model justifies
+function verdict(justified, market, higherIsCheaper) {
+  if (!isFinite(market)) return null;
+  const gap = (market - justified) / justified;
+  if (Math.abs(gap) <= FAIR_TOLERANCE) return "fair";
+  return (gap > 0) === higherIsCheaper ? "undervalued" : "overvalued";
+}
+
+export function justifiedMultiples({ D0: entered, required, gConst, dividendBasis = "last" }, { price, eps, bookValue }) {
+  const D0 = dividendBasis === "next" ? entered / (1 + gConst) : entered;
+  const errors = {};
+  if (!(D0 > 0)) errors.D0 = "valuation.error.D0";
+  if (!(eps > 0)) errors.eps = msg("multiples.error.eps");
+  if (!(bookValue > 0)) errors.bookValue = msg("multiples.error.bookValue");
+  if (!(price >= 0)) errors.price = msg("multiples.error.price");
+  if (!(required > gConst)) errors.gConst = msg("multiples.error.gConst");
+  if (Object.keys(errors).length > 0) return { rows: [], payout: NaN, roe: NaN, errors };
+
+  const g = gConst;
+  const spread = required - g;
+  const payout = D0 / eps;
+  const roe = eps * (1 + g) / bookValue;
+  const hasMarket = price > 0;
+  const D1 = D0 * (1 + g);
+
+  const values = {
+    trailingPE: [payout * (1 + g) / spread, price / eps, false],
+    leadingPE: [payout / spread, price / (eps * (1 + g)), false],
+    priceToBook: [(roe - g) / spread, price / bookValue, false],
+    dividendYield: [spread, D1 / price, true],
+  };
+
+  const rows = Object.entries(values).map(([key, [justified, market, higherIsCheaper]]) => {
+    const marketValue = hasMarket ? market : NaN;
+    return { key, ...MULTIPLES[key], justified, market: marketValue, verdict: verdict(justified, marketValue, higherIsCheaper) };
+  });
+  return { rows, payout, roe, errors };
+}
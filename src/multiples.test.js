@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { justifiedMultiples, DEFAULT_MARKET } from "./multiples";
+import { priceModel } from "./valuation";
+
+const inputs = { D0: 5, required: 0.1, gConst: 0.05 };
+const byKey = (rows) => Object.fromEntries(rows.map((row) => [row.key, row]));
+
+describe("justifiedMultiples", () => {
+  it("matches the Gordon price per unit of earnings", () => {
+    // D₀ = $5.00, E₀ = $8.00: payout 62.5%; P₀ = 5.25 / 0.05 = $105.00
+    const { rows, payout, errors } = justifiedMultiples(inputs, DEFAULT_MARKET);
+    const m = byKey(rows);
+    expect(errors).toEqual({});
+    expect(payout).toBeCloseTo(0.625, 10);
+    expect(m.trailingPE.justified).toBeCloseTo(priceModel("growth", inputs) / 8, 10);
+    expect(m.trailingPE.justified).toBeCloseTo(13.125, 10);
+    expect(m.leadingPE.justified).toBeCloseTo(12.5, 10);
+    expect(m.dividendYield.justified).toBeCloseTo(0.05, 10);
+  });
+
+  it("derives P/B from ROE on forward earnings", () => {
+    // ROE = 8.40 / 40 = 21%; P/B = (0.21 - 0.05) / 0.05 = 3.2
+    const { rows, roe } = justifiedMultiples(inputs, DEFAULT_MARKET);
+    expect(roe).toBeCloseTo(0.21, 10);
+    expect(byKey(rows).priceToBook.justified).toBeCloseTo(3.2, 10);
+  });
+
+  it("flags the stock against market multiples", () => {
+    // $90 is below the $105 justified price, so every measure reads undervalued
+    const cheap = byKey(justifiedMultiples(inputs, DEFAULT_MARKET).rows);
+    expect(cheap.trailingPE.market).toBeCloseTo(11.25, 10);
+    expect(cheap.trailingPE.verdict).toBe("undervalued");
+    expect(cheap.dividendYield.verdict).toBe("undervalued");
+
+    const rich = byKey(justifiedMultiples(inputs, { ...DEFAULT_MARKET, price: 140 }).rows);
+    expect(rich.leadingPE.verdict).toBe("overvalued");
+    expect(rich.dividendYield.verdict).toBe("overvalued");
+
+    const fair = byKey(justifiedMultiples(inputs, { ...DEFAULT_MARKET, price: 105 }).rows);
+    expect(fair.trailingPE.verdict).toBe("fair");
+  });
+
+  it("skips the comparison without a market price", () => {
+    const { rows } = justifiedMultiples(inputs, { ...DEFAULT_MARKET, price: 0 });
+    expect(rows.every((row) => Number.isNaN(row.market) && row.verdict === null)).toBe(true);
+  });
+
+  it("needs positive earnings and book value and g below r", () => {
+    expect(justifiedMultiples(inputs, { ...DEFAULT_MARKET, eps: 0 }).errors.eps).toBeDefined();
+    expect(justifiedMultiples(inputs, { ...DEFAULT_MARKET, bookValue: -1 }).errors.bookValue).toBeDefined();
+    const { rows, errors } = justifiedMultiples({ ...inputs, gConst: 0.1 }, DEFAULT_MARKET);
+    expect(errors.gConst).toBeDefined();
+    expect(rows).toEqual([]);
+  });
+
+  it("takes a next-year dividend back to D0", () => {
+    const next = justifiedMultiples({ ...inputs, D0: inputs.D0 * (1 + inputs.gConst), dividendBasis: "next" }, DEFAULT_MARKET);
+    expect(next.payout).toBeCloseTo(justifiedMultiples(inputs, DEFAULT_MARKET).payout, 12);
+  });
+});
@@ -0,0 +1,93 @@
+// Calculator parameter schema: label and tooltip (message keys), unit, slider range and step, and the
+// models that read each input. validateParameters checks the values in the units inputs.js uses
+// (rates in percent) and reports every rule whose breach leaves a model without a price, plus the
+// horizon and range limits. Errors are keyed by field: "D0", "stages.0.growth", "stages.1.years",
+// or "stages" for the schedule as a whole, and are messages for t (see messages.js).
+
+import { MAX_HORIZON } from "./valuation";
+import { msg } from "./messages";
+
+const ALL_MODELS = ["constant", "growth", "changing", "hmodel"];
+
+export const PARAMETERS = {
+  D0: { label: "input.D0", help: "input.D0.help", unit: "currency", min: 0.1, max: 20, step: 0.1, required: true, models: ALL_MODELS },
+  req: { label: "input.req", help: "input.req.help", unit: "percent", min: 0.5, max: 25, step: 0.1, required: true, models: ALL_MODELS },
+  gConst: { label: "input.gConst", help: "input.gConst.help", unit: "percent", min: 0, max: 20, step: 0.1, models: ["growth"] },
+  halfLife: { label: "input.halfLife", help: "input.halfLife.help", unit: "years", min: 0, max: MAX_HORIZON / 2, step: 0.5, models: ["hmodel"] },
+  horizon: { label: "input.horizon", help: "input.horizon.help", unit: "years", min: 1, max: MAX_HORIZON, step: 1, integer: true, models: ALL_MODELS },
+};
+
+// Columns of the growth stage table. The H-model reads only the first and terminal stage rates.
+export const STAGE_PARAMETERS = {
+  growth: { label: "stages.growthLabel", unit: "percent", min: 0, max: 30, step: 0.1, models: ["changing", "hmodel"] },
+  years: { label: "stages.yearsLabel", unit: "years", min: 0, max: 30, step: 1, integer: true, models: ["changing"] },
+};
+
+const uses = (param, model) => model === "all" || param.models.includes(model);
+
+export const visibleParameters = (model) => Object.keys(PARAMETERS).filter((name) => uses(PARAMETERS[name], model));
+
+export const usesStageField = (field, model) => uses(STAGE_PARAMETERS[field], model);
+
+const isNum = (x) => typeof x === "number" && isFinite(x);
+
+function stageErrors(stages, req, model) {
+  const errors = {};
+  if (stages.length === 0) {
+    errors.stages = msg("error.noStages");
+    return errors;
+  }
+
+  const last = stages.length - 1;
+  const rated = model === "hmodel" ? [...new Set([0, last])] : stages.map((stage, i) => i);
+  for (const i of rated) {
+    const { growth } = stages[i];
+    const field = `stages.${i}.growth`;
+    if (!isNum(growth)) errors[field] = msg("error.number");
+    else if (growth < 0) errors[field] = msg("error.negative");
+    else if (i === last && isNum(req) && growth >= req) errors[field] = msg("error.terminalGrowth");
+  }
+
+  if (usesStageField("years", model)) {
+    const finite = stages.slice(0, -1);
+    finite.forEach(({ years }, i) => {
+      const field = `stages.${i}.years`;
+      if (!isNum(years)) errors[field] = msg("error.number");
+      else if (!Number.isInteger(years) || years < 0) errors[field] = msg("error.wholeYears");
+    });
+    const total = finite.reduce((sum, stage) => sum + stage.years, 0);
+    if (total > MAX_HORIZON) errors.stages = msg("error.stagesTotal", { total, max: MAX_HORIZON });
+  }
+  return errors;
+}
+
+// Errors for the inputs model reads ("all" checks every input)
+export function validateParameters({ D0, req, gConst, stages, halfLife, horizon }, model = "all") {
+  const errors = {};
+  const numeric = (field, value) => {
+    if (!isNum(value)) errors[field] = msg("error.number");
+    return isNum(value);
+  };
+  const check = (name, value, rules) => {
+    if (!uses(PARAMETERS[name], model) || !numeric(name, value)) return;
+    const broken = rules.find(([valid]) => !valid);
+    if (broken) errors[name] = broken[1];
+  };
+
+  check("D0", D0, [[D0 > 0, msg("error.positive")]]);
+  check("req", req, [[req > 0, msg("error.positive")]]);
+  check("gConst", gConst, [
+    [gConst >= 0, msg("error.negative")],
+    [!isNum(req) || gConst < req, msg("error.belowRequired")],
+  ]);
+  check("halfLife", halfLife, [
+    [halfLife >= 0, msg("error.negative")],
+    [halfLife <= MAX_HORIZON / 2, msg("error.maxYears", { max: MAX_HORIZON / 2 })],
+  ]);
+  check("horizon", horizon, [
+    [Number.isInteger(horizon) && horizon >= 1 && horizon <= MAX_HORIZON, msg("error.horizon", { max: MAX_HORIZON })],
+  ]);
+  if (usesStageField("growth", model)) Object.assign(errors, stageErrors(stages, req, model));
+
+  return errors;
+}
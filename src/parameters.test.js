@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { validateParameters, visibleParameters, usesStageField } from "./parameters";
+import { DEFAULT_VALUES, toModelInputs } from "./inputs";
+import { buildDividendSeries } from "./valuation";
+import { createRng } from "./monteCarlo";
+import { msg } from "./messages";
+
+const MODELS = ["constant", "growth", "changing", "hmodel"];
+
+describe("visibleParameters", () => {
+  it("shows only the inputs a model reads", () => {
+    expect(visibleParameters("constant")).toEqual(["D0", "req", "horizon"]);
+    expect(visibleParameters("growth")).toEqual(["D0", "req", "gConst", "horizon"]);
+    expect(visibleParameters("hmodel")).toEqual(["D0", "req", "halfLife", "horizon"]);
+    expect(visibleParameters("all")).toHaveLength(5);
+    expect(usesStageField("growth", "constant")).toBe(false);
+    expect(usesStageField("years", "hmodel")).toBe(false);
+    expect(usesStageField("years", "changing")).toBe(true);
+  });
+});
+
+describe("validateParameters", () => {
+  it("accepts the defaults", () => {
+    expect(validateParameters(DEFAULT_VALUES)).toEqual({});
+  });
+
+  it("reports the rules the models used to skip", () => {
+    expect(validateParameters({ ...DEFAULT_VALUES, gConst: -1 }, "growth")).toEqual({ gConst: msg("error.negative") });
+    expect(validateParameters({ ...DEFAULT_VALUES, stages: [{ growth: -2, years: 5 }, { growth: 3 }] }, "hmodel"))
+      .toEqual({ "stages.0.growth": msg("error.negative") });
+    expect(validateParameters({ ...DEFAULT_VALUES, stages: [{ growth: 5, years: 2.5 }, { growth: 3 }] }, "changing"))
+      .toEqual({ "stages.0.years": msg("error.wholeYears") });
+    expect(validateParameters({ ...DEFAULT_VALUES, stages: [{ growth: 5, years: 150 }, { growth: 3 }] }, "changing"))
+      .toHaveProperty("stages");
+    expect(validateParameters({ ...DEFAULT_VALUES, D0: NaN })).toEqual({ D0: msg("error.number") });
+  });
+
+  it("only checks the inputs the model reads", () => {
+    const values = { ...DEFAULT_VALUES, gConst: 20, halfLife: -1, stages: [{ growth: 5, years: 1.5 }, { growth: 3 }] };
+    expect(validateParameters(values, "constant")).toEqual({});
+    expect(Object.keys(validateParameters(values, "hmodel"))).toEqual(["halfLife"]);
+    expect(Object.keys(validateParameters(values))).toEqual(["gConst", "halfLife", "stages.0.years"]);
+  });
+
+  it("reports an error whenever a model has no price", () => {
+    const rng = createRng(11);
+    const pick = (options) => options[Math.floor(rng() * options.length)];
+    const rates = [5, 0, -1, 12, NaN];
+    const years = [5, 0, 2.5, -1, NaN, 120];
+
+    for (let i = 0; i < 500; i++) {
+      const stageCount = 1 + Math.floor(rng() * 3);
+      const values = {
+        D0: pick([5, 0, -1, NaN]),
+        req: pick([10, 0, -5, 3, NaN]),
+        gConst: pick(rates),
+        stages: Array.from({ length: stageCount }, () => ({ growth: pick(rates), years: pick(years) })),
+        halfLife: pick([2.5, 0, -1, 60, NaN]),
+        horizon: pick([10, 0, 2.5, 101, NaN]),
+      };
+      const { prices } = buildDividendSeries(toModelInputs(values));
+      for (const model of MODELS) {
+        if (!isFinite(prices[model])) expect(validateParameters(values, model)).not.toEqual({});
+      }
+    }
+  });
+});
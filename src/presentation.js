@@ -0,0 +1,24 @@
+// Presenter walk-through of one model, built on pvBreakdown (valuation.js): an opening step, then for
+// each cash flow a "project" step that draws it and a "discount" step that brings it back to year 0,
+// and a closing "total" step where the present values add up to the price. The H-model has no yearly
+// discounting, so each of its two formula components is a single "component" step.
+
+export function presentationSteps(breakdown) {
+  const rowSteps = breakdown.rows.flatMap((row, index) => row.kind === "component"
+    ? [{ kind: "component", index }]
+    : [{ kind: "project", index }, { kind: "discount", index }]);
+  return [{ kind: "intro" }, ...rowSteps, { kind: "total" }];
+}
+
+// Where the walk-through stands after steps[0..step]: the breakdown rows drawn so far, those
+// discounted so far and the present value collected from them
+export function slideState(breakdown, steps, step) {
+  const drawn = new Set();
+  const discounted = new Set();
+  for (const { kind, index } of steps.slice(0, step + 1)) {
+    if (kind === "project" || kind === "component") drawn.add(index);
+    if (kind === "discount" || kind === "component") discounted.add(index);
+  }
+  const presentValue = breakdown.rows.reduce((sum, row, i) => discounted.has(i) ? sum + row.pv : sum, 0);
+  return { drawn, discounted, presentValue };
+}
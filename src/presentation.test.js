@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { presentationSteps, slideState } from "./presentation";
+import { pvBreakdown } from "./valuation";
+
+const inputs = { D0: 2, required: 0.1, gConst: 0.05, stages: [{ growth: 0.12, years: 3 }, { growth: 0.04 }], halfLife: 2, horizon: 5 };
+
+describe("presentationSteps", () => {
+  it("projects then discounts each cash flow and ends on the total", () => {
+    const breakdown = pvBreakdown("changing", inputs);
+    const steps = presentationSteps(breakdown);
+    expect(steps.map((step) => step.kind)).toEqual([
+      "intro",
+      "project", "discount", "project", "discount", "project", "discount",
+      "project", "discount",
+      "total",
+    ]);
+    expect(breakdown.rows[steps[7].index].kind).toBe("terminal");
+  });
+
+  it("gives each H-model component one step", () => {
+    expect(presentationSteps(pvBreakdown("hmodel", inputs)).map((step) => step.kind)).toEqual(["intro", "component", "component", "total"]);
+  });
+
+  it("is only the opening and closing steps without a price", () => {
+    expect(presentationSteps(pvBreakdown("growth", { ...inputs, gConst: 0.2 }))).toEqual([{ kind: "intro" }, { kind: "total" }]);
+  });
+});
+
+describe("slideState", () => {
+  const breakdown = pvBreakdown("growth", inputs);
+  const steps = presentationSteps(breakdown);
+
+  it("collects present value as the cash flows are discounted", () => {
+    expect(slideState(breakdown, steps, 0)).toEqual({ drawn: new Set(), discounted: new Set(), presentValue: 0 });
+    const drawnOnly = slideState(breakdown, steps, 1);
+    expect([...drawnOnly.drawn]).toEqual([0]);
+    expect(drawnOnly.presentValue).toBe(0);
+    expect(slideState(breakdown, steps, 2).presentValue).toBeCloseTo(breakdown.rows[0].pv, 12);
+  });
+
+  it("adds up to the price at the end", () => {
+    const end = slideState(breakdown, steps, steps.length - 1);
+    expect(end.discounted.size).toBe(breakdown.rows.length);
+    expect(end.presentValue).toBeCloseTo(breakdown.price, 10);
+  });
+});
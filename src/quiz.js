@@ -0,0 +1,176 @@
+// Practice problems for the dividend models. generateProblem draws random inputs (seeded, via
+// createRng) until buildDividendSeries accepts them, then asks for the price or an intermediate
+// value and records the worked solution, written with a formatter from format.js and worded with a
+// translate function (messages.js). Scores are kept in localStorage like saved scenarios.
+
+import { buildDividendSeries, constantGrowth, multiStageGrowth, hModel, discountFactor } from "./valuation";
+import { toModelInputs, DEFAULT_VALUES } from "./inputs";
+import { DEFAULT_FORMATTER, toSubscript } from "./format";
+import { DEFAULT_TRANSLATE } from "./messages";
+
+export const STORAGE_KEY = "lm2los1.quiz";
+export const EMPTY_SCORES = { attempted: 0, correct: 0, byModel: {} };
+
+// An answer is correct within REL_TOLERANCE of the answer or ABS_TOLERANCE dollars, whichever is larger,
+// so rounding intermediate steps to the cent is not penalised
+export const REL_TOLERANCE = 0.005;
+export const ABS_TOLERANCE = 0.01;
+
+// What can be asked for each model
+export const QUESTIONS = {
+  constant: ["price"],
+  growth: ["nextDividend", "price"],
+  changing: ["terminalValue", "price"],
+  hmodel: ["premium", "price"],
+};
+
+const MAX_ATTEMPTS = 100;
+
+const between = (rng, min, max, step) => min + step * Math.floor(rng() * (Math.round((max - min) / step) + 1));
+const round = (x, places) => Math.round(x * 10 ** places) / 10 ** places;
+const decimal = (fmt, x) => fmt.input(round(x, 4));
+
+function drawValues(model, rng) {
+  const D0 = round(between(rng, 0.5, 5, 0.25), 2);
+  const req = between(rng, 6, 15, 0.5);
+  const values = { ...DEFAULT_VALUES, D0, req, horizon: 10 };
+  if (model === "growth") values.gConst = between(rng, 1, req - 2, 0.5);
+  if (model === "changing" || model === "hmodel") {
+    const gLong = between(rng, 1, Math.min(5, req - 2), 0.5);
+    const gShort = between(rng, gLong + 2, gLong + 15, 1);
+    values.stages = [{ growth: gShort, years: between(rng, 2, 5, 1) }, { growth: gLong, years: 5 }];
+    values.halfLife = between(rng, 1, 5, 0.5);
+  }
+  return values;
+}
+
+function constantSolution({ D0, required }, fmt) {
+  const price = D0 / required;
+  return { price, steps: ["P = D₀ ÷ r", `P = ${fmt.money(D0)} ÷ ${decimal(fmt, required)} = ${fmt.money(price)}`] };
+}
+
+function growthSolution({ D0, required, gConst }, fmt) {
+  const D1 = D0 * (1 + gConst);
+  const { price } = constantGrowth({ D0, required, gConst, horizon: 0 });
+  return {
+    nextDividend: D1,
+    price,
+    steps: [
+      `D₁ = D₀(1 + g) = ${fmt.money(D0)} × ${decimal(fmt, 1 + gConst)} = ${fmt.money(D1)}`,
+      `P = D₁ ÷ (r - g) = ${fmt.money(D1)} ÷ (${decimal(fmt, required)} - ${decimal(fmt, gConst)}) = ${fmt.money(price)}`,
+    ],
+  };
+}
+
+function changingSolution({ D0, required, stages }, fmt, t) {
+  const highYears = stages.slice(0, -1).reduce((sum, stage) => sum + stage.years, 0);
+  const { price, cashFlows, terminalValue, terminalYear } = multiStageGrowth({ D0, required, stages, horizon: highYears + 1 });
+  const gLong = stages[stages.length - 1].growth;
+  const N = toSubscript(terminalYear);
+  const compound = (years) => years === 1 ? decimal(fmt, 1 + required) : `${decimal(fmt, 1 + required)}^${years}`;
+  const pvDividends = cashFlows.slice(0, terminalYear).map(({ year, dividend }) => dividend * discountFactor(required, year));
+  const pvTerminal = terminalValue * discountFactor(required, terminalYear);
+  return {
+    terminalValue,
+    price,
+    steps: [
+      ...cashFlows.slice(0, terminalYear).map(({ year, dividend }, i) =>
+        `D${toSubscript(year)} = ${fmt.money(dividend)}, PV = ${fmt.money(dividend)} ÷ ${compound(year)} = ${fmt.money(pvDividends[i])}`),
+      `P${N} = D${toSubscript(terminalYear + 1)} ÷ (r - g) = ${fmt.money(cashFlows[terminalYear].dividend)} ÷ (${decimal(fmt, required)} - ${decimal(fmt, gLong)}) = ${fmt.money(terminalValue)}`,
+      `${t("quiz.pvOf", { value: `P${N}` })} = ${fmt.money(terminalValue)} ÷ ${compound(terminalYear)} = ${fmt.money(pvTerminal)}`,
+      `P = ${[...pvDividends, pvTerminal].map(fmt.money).join(" + ")} = ${fmt.money(price)}`,
+    ],
+  };
+}
+
+function hModelSolution({ D0, required, stages, halfLife }, fmt, t) {
+  const gShort = stages[0].growth;
+  const gLong = stages[stages.length - 1].growth;
+  const { price } = hModel({ D0, required, gShort, gLong, halfLife, horizon: 0 });
+  const stable = D0 * (1 + gLong) / (required - gLong);
+  const premium = D0 * halfLife * (gShort - gLong) / (required - gLong);
+  return {
+    premium,
+    price,
+    steps: [
+      `${t("quiz.stableValue")} = D₀(1 + gL) ÷ (r - gL) = ${fmt.money(D0)} × ${decimal(fmt, 1 + gLong)} ÷ (${decimal(fmt, required)} - ${decimal(fmt, gLong)}) = ${fmt.money(stable)}`,
+      `${t("quiz.premium")} = D₀ × H × (gS - gL) ÷ (r - gL) = ${fmt.money(D0)} × ${fmt.input(halfLife)} × (${decimal(fmt, gShort)} - ${decimal(fmt, gLong)}) ÷ (${decimal(fmt, required)} - ${decimal(fmt, gLong)}) = ${fmt.money(premium)}`,
+      `P = ${fmt.money(stable)} + ${fmt.money(premium)} = ${fmt.money(price)}`,
+    ],
+  };
+}
+
+const SOLUTIONS = { constant: constantSolution, growth: growthSolution, changing: changingSolution, hmodel: hModelSolution };
+
+// The problem text: what was paid and is required, how the model says dividends grow, and the question
+function prompt(model, ask, v, fmt, t) {
+  const pct = (x) => fmt.percent(x, Number.isInteger(x) ? 0 : 1);
+  const [high, terminal] = v.stages;
+  const setup = {
+    constant: {},
+    growth: { growth: pct(v.gConst) },
+    changing: { gShort: pct(high.growth), years: high.years, gLong: pct(terminal.growth) },
+    hmodel: { gShort: pct(high.growth), gLong: pct(terminal.growth), years: fmt.input(2 * v.halfLife), H: fmt.input(v.halfLife) },
+  }[model];
+  // The H-model questions name the model they expect
+  const question = model === "hmodel" ? `quiz.ask.hmodel.${ask}` : `quiz.ask.${ask}`;
+  return t("quiz.prompt", {
+    given: t("quiz.given", { D0: fmt.money(v.D0), req: pct(v.req) }),
+    setup: t(`quiz.setup.${model}`, setup),
+    question: t(question, { years: high.years, value: `P${toSubscript(high.years)}` }),
+  });
+}
+
+// Returns { model, ask, values, prompt, answer, steps }; values are calculator inputs (see inputs.js).
+// ask defaults to a random question for the model; t words the prompt and the step labels.
+export function generateProblem(model, rng, { ask = QUESTIONS[model][Math.floor(rng() * QUESTIONS[model].length)], fmt = DEFAULT_FORMATTER, t = DEFAULT_TRANSLATE } = {}) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const values = drawValues(model, rng);
+    const inputs = toModelInputs(values);
+    const results = buildDividendSeries(inputs);
+    if (Object.keys(results.errors).length > 0 || !isFinite(results.prices[model])) continue;
+
+    const solution = SOLUTIONS[model](inputs, fmt, t);
+    return { model, ask, values, prompt: prompt(model, ask, values, fmt, t), answer: solution[ask], steps: solution.steps };
+  }
+  throw new Error(`Could not generate a valid ${model} problem`);
+}
+
+export function gradeAnswer(problem, answer) {
+  if (typeof answer !== "number" || !isFinite(answer)) return { correct: false, difference: NaN };
+  const difference = answer - problem.answer;
+  // The epsilon keeps a cent exactly at the limit from failing on floating point error
+  const tolerance = Math.max(ABS_TOLERANCE, REL_TOLERANCE * Math.abs(problem.answer)) + 1e-9;
+  return { correct: Math.abs(difference) <= tolerance, difference };
+}
+
+export function recordAnswer(scores, model, correct) {
+  const current = scores.byModel[model] ?? { attempted: 0, correct: 0 };
+  return {
+    attempted: scores.attempted + 1,
+    correct: scores.correct + (correct ? 1 : 0),
+    byModel: { ...scores.byModel, [model]: { attempted: current.attempted + 1, correct: current.correct + (correct ? 1 : 0) } },
+  };
+}
+
+export function loadScores(storage = globalThis.localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    const isCount = (x) => Number.isInteger(x) && x >= 0;
+    if (!parsed || !isCount(parsed.attempted) || !isCount(parsed.correct) || typeof parsed.byModel !== "object" || parsed.byModel === null) {
+      return EMPTY_SCORES;
+    }
+    return parsed;
+  } catch {
+    return EMPTY_SCORES;
+  }
+}
+
+export function saveScores(scores, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(scores));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import {
+  QUESTIONS,
+  STORAGE_KEY,
+  EMPTY_SCORES,
+  generateProblem,
+  gradeAnswer,
+  recordAnswer,
+  loadScores,
+  saveScores,
+} from "./quiz";
+import { createRng } from "./monteCarlo";
+import { buildDividendSeries } from "./valuation";
+import { toModelInputs } from "./inputs";
+import { memoryStorage } from "../test/memoryStorage";
+
+describe("generateProblem", () => {
+  it("only asks about inputs the calculator accepts", () => {
+    const rng = createRng(7);
+    for (const model of Object.keys(QUESTIONS)) {
+      for (let i = 0; i < 50; i++) {
+        const problem = generateProblem(model, rng);
+        const results = buildDividendSeries(toModelInputs(problem.values));
+        expect(results.errors).toEqual({});
+        expect(QUESTIONS[model]).toContain(problem.ask);
+        expect(Number.isFinite(problem.answer)).toBe(true);
+        if (problem.ask === "price") expect(problem.answer).toBeCloseTo(results.prices[model], 10);
+      }
+    }
+  });
+
+  it("is reproducible from the seed", () => {
+    expect(generateProblem("changing", createRng(3))).toEqual(generateProblem("changing", createRng(3)));
+  });
+
+  it("works through the intermediate values", () => {
+    const growth = generateProblem("growth", createRng(1), { ask: "nextDividend" });
+    expect(growth.answer).toBeCloseTo(growth.values.D0 * (1 + growth.values.gConst / 100), 10);
+    expect(growth.steps[0]).toMatch(/^D₁ = D₀\(1 \+ g\)/);
+
+    const changing = generateProblem("changing", createRng(1), { ask: "terminalValue" });
+    expect(changing.prompt).toContain(`end of year ${changing.values.stages[0].years}`);
+    expect(changing.steps).toHaveLength(changing.values.stages[0].years + 3);
+  });
+});
+
+describe("gradeAnswer", () => {
+  const problem = { answer: 42 };
+
+  it("accepts answers within the tolerance", () => {
+    expect(gradeAnswer(problem, 42).correct).toBe(true);
+    expect(gradeAnswer(problem, 42.2).correct).toBe(true);
+    expect(gradeAnswer({ answer: 1.05 }, 1.06).correct).toBe(true);
+  });
+
+  it("rejects answers outside the tolerance or not numbers", () => {
+    expect(gradeAnswer(problem, 42.5).correct).toBe(false);
+    expect(gradeAnswer(problem, 42.5).difference).toBeCloseTo(0.5, 10);
+    expect(gradeAnswer(problem, NaN).correct).toBe(false);
+  });
+});
+
+describe("scores", () => {
+  it("counts attempts per model", () => {
+    const scores = recordAnswer(recordAnswer(EMPTY_SCORES, "growth", true), "growth", false);
+    expect(scores).toEqual({ attempted: 2, correct: 1, byModel: { growth: { attempted: 2, correct: 1 } } });
+    expect(EMPTY_SCORES.attempted).toBe(0);
+  });
+
+  it("round-trips through storage and ignores bad data", () => {
+    const storage = memoryStorage();
+    const scores = recordAnswer(EMPTY_SCORES, "hmodel", true);
+    expect(saveScores(scores, storage)).toBe(true);
+    expect(loadScores(storage)).toEqual(scores);
+    expect(loadScores(memoryStorage({ [STORAGE_KEY]: "{bad" }))).toEqual(EMPTY_SCORES);
+    expect(loadScores(memoryStorage({ [STORAGE_KEY]: '{"attempted":-1}' }))).toEqual(EMPTY_SCORES);
+  });
+});
@@ -0,0 +1,62 @@
+// Required return on equity from its components. Rates are in percent, like the req input.
+// Each method returns { value, formula, working, errors }; value is NaN when errors is non-empty.
+// The working is written with fmt, a formatter from format.js (en-US by default); names, formulas and
+// errors are messages for t (see messages.js).
+
+import { DEFAULT_FORMATTER } from "./format";
+import { msg } from "./messages";
+
+export const RETURN_METHODS = {
+  capm: { name: "returnBuilder.capm", formula: "returnBuilder.capm.formula" },
+  buildUp: { name: "returnBuilder.buildUp", formula: "returnBuilder.buildUp.formula" },
+};
+
+export const DEFAULT_BUILDER = {
+  enabled: false,
+  method: "capm",
+  riskFree: 4,
+  beta: 1.2,
+  erp: 5,
+  sizePremium: 1,
+  specificPremium: 0,
+};
+
+function numberErrors(fields) {
+  const errors = {};
+  for (const [field, [label, value]] of Object.entries(fields)) {
+    if (typeof value !== "number" || !isFinite(value)) errors[field] = msg("error.fieldNumber", { label: msg(label) });
+  }
+  return errors;
+}
+
+function result(method, value, working, errors) {
+  if (Object.keys(errors).length === 0 && !(value > 0)) errors.value = msg("valuation.error.required");
+  const valid = Object.keys(errors).length === 0;
+  return { value: valid ? value : NaN, formula: RETURN_METHODS[method].formula, working: valid ? working : "", errors };
+}
+
+export function capm({ riskFree, beta, erp }, fmt = DEFAULT_FORMATTER) {
+  const errors = numberErrors({
+    riskFree: ["returnBuilder.riskFree", riskFree],
+    beta: ["returnBuilder.beta", beta],
+    erp: ["returnBuilder.erp", erp],
+  });
+  const value = riskFree + beta * erp;
+  return result("capm", value, `${fmt.percent(riskFree)} + ${fmt.input(beta)} × ${fmt.percent(erp)} = ${fmt.percent(value)}`, errors);
+}
+
+export function buildUp({ riskFree, erp, sizePremium, specificPremium }, fmt = DEFAULT_FORMATTER) {
+  const errors = numberErrors({
+    riskFree: ["returnBuilder.riskFree", riskFree],
+    erp: ["returnBuilder.erp", erp],
+    sizePremium: ["returnBuilder.sizePremium", sizePremium],
+    specificPremium: ["returnBuilder.specificPremium", specificPremium],
+  });
+  const value = riskFree + erp + sizePremium + specificPremium;
+  const working = `${fmt.percent(riskFree)} + ${fmt.percent(erp)} + ${fmt.percent(sizePremium)} + ${fmt.percent(specificPremium)} = ${fmt.percent(value)}`;
+  return result("buildUp", value, working, errors);
+}
+
+export function deriveRequiredReturn(builder, fmt = DEFAULT_FORMATTER) {
+  return builder.method === "buildUp" ? buildUp(builder, fmt) : capm(builder, fmt);
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { capm, buildUp, deriveRequiredReturn, DEFAULT_BUILDER } from "./requiredReturn";
+
+describe("capm", () => {
+  it("adds beta times the equity risk premium to the risk-free rate", () => {
+    // Rf = 3%, β = 1.5, ERP = 6%: r = 3% + 1.5 × 6% = 12%
+    const { value, working, errors } = capm({ riskFree: 3, beta: 1.5, erp: 6 });
+    expect(value).toBeCloseTo(12, 10);
+    expect(working).toBe("3.00% + 1.5 × 6.00% = 12.00%");
+    expect(errors).toEqual({});
+  });
+
+  it("rejects missing inputs and non-positive results", () => {
+    expect(capm({ riskFree: NaN, beta: 1, erp: 5 }).errors.riskFree).toBeDefined();
+    const negative = capm({ riskFree: 1, beta: -1, erp: 5 });
+    expect(negative.value).toBeNaN();
+    expect(negative.errors.value).toBeDefined();
+  });
+});
+
+describe("buildUp", () => {
+  it("sums the risk-free rate and premiums", () => {
+    // 4% + 5% + 2% + 1.5% = 12.5%
+    const { value, errors } = buildUp({ riskFree: 4, erp: 5, sizePremium: 2, specificPremium: 1.5 });
+    expect(value).toBeCloseTo(12.5, 10);
+    expect(errors).toEqual({});
+  });
+});
+
+describe("deriveRequiredReturn", () => {
+  it("uses the builder's method", () => {
+    expect(deriveRequiredReturn(DEFAULT_BUILDER).value).toBeCloseTo(10, 10);
+    expect(deriveRequiredReturn({ ...DEFAULT_BUILDER, method: "buildUp" }).value).toBeCloseTo(10, 10);
+  });
+});
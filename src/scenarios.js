@@ -0,0 +1,68 @@
+// Named input scenarios kept in localStorage. The list operations are pure and return a new list;
+// loadScenarios/saveScenarios do the storage I/O and never throw (private browsing, quota, bad JSON).
+// A scenario is { id, name, values, timing }: values in UI units (see inputs.js) and the timing
+// convention they were priced under (see DEFAULT_TIMING in valuation.js).
+
+import { isValidValues, plainValues } from "./inputs";
+import { DEFAULT_TIMING, FREQUENCIES } from "./valuation";
+import { DEFAULT_TRANSLATE } from "./messages";
+
+export const STORAGE_KEY = "lm2los1.scenarios";
+export const MAX_COMPARED = 4;
+
+const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+const isValidTiming = (timing) => Boolean(timing)
+  && FREQUENCIES.includes(timing.frequency)
+  && ["last", "next"].includes(timing.dividendBasis)
+  && typeof timing.midYear === "boolean";
+
+const plainTiming = ({ frequency, dividendBasis, midYear }) => ({ frequency, dividendBasis, midYear });
+
+export function loadScenarios(storage = globalThis.localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || "[]");
+    if (!Array.isArray(parsed)) return [];
+    // Scenarios saved before timing was stored were priced annually, at the defaults
+    return parsed
+      .filter((s) => s && typeof s.id === "string" && typeof s.name === "string" && isValidValues(s.values))
+      .map((s) => ({ ...s, timing: isValidTiming(s.timing) ? plainTiming(s.timing) : DEFAULT_TIMING }));
+  } catch {
+    return [];
+  }
+}
+
+export function saveScenarios(scenarios, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// t words the default and copy names; the app passes useLocale's
+export function addScenario(scenarios, name, values, timing = DEFAULT_TIMING, t = DEFAULT_TRANSLATE) {
+  return [...scenarios, {
+    id: newId(),
+    name: name.trim() || t("scenarios.defaultName", { n: scenarios.length + 1 }),
+    values: plainValues(values),
+    timing: plainTiming(timing),
+  }];
+}
+
+export function renameScenario(scenarios, id, name) {
+  if (!name.trim()) return scenarios;
+  return scenarios.map((s) => s.id === id ? { ...s, name: name.trim() } : s);
+}
+
+export function duplicateScenario(scenarios, id, t = DEFAULT_TRANSLATE) {
+  const index = scenarios.findIndex((s) => s.id === id);
+  if (index === -1) return scenarios;
+  const copy = { ...scenarios[index], id: newId(), name: t("scenarios.copyName", { name: scenarios[index].name }) };
+  return [...scenarios.slice(0, index + 1), copy, ...scenarios.slice(index + 1)];
+}
+
+export function deleteScenario(scenarios, id) {
+  return scenarios.filter((s) => s.id !== id);
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  STORAGE_KEY,
+  loadScenarios,
+  saveScenarios,
+  addScenario,
+  renameScenario,
+  duplicateScenario,
+  deleteScenario,
+} from "./scenarios";
+import { DEFAULT_VALUES } from "./inputs";
+import { DEFAULT_TIMING } from "./valuation";
+import { memoryStorage } from "../test/memoryStorage";
+
+describe("scenario list operations", () => {
+  const base = addScenario([], "Base", { ...DEFAULT_VALUES, stages: [{ id: 7, growth: 5, years: 5 }, { id: 8, growth: 3, years: 5 }] });
+
+  it("stores plain values without stage ids", () => {
+    expect(base).toHaveLength(1);
+    expect(base[0].name).toBe("Base");
+    expect(base[0].values.stages).toEqual([{ growth: 5, years: 5 }, { growth: 3, years: 5 }]);
+  });
+
+  it("stores the timing convention, annual by default", () => {
+    expect(base[0].timing).toEqual(DEFAULT_TIMING);
+    const quarterly = { frequency: 4, dividendBasis: "next", midYear: true };
+    expect(addScenario([], "Quarterly", DEFAULT_VALUES, { ...quarterly, extra: 1 })[0].timing).toEqual(quarterly);
+  });
+
+  it("names unnamed scenarios by position", () => {
+    expect(addScenario(base, "  ", DEFAULT_VALUES)[1].name).toBe("Scenario 2");
+  });
+
+  it("renames, ignoring blank names", () => {
+    const id = base[0].id;
+    expect(renameScenario(base, id, "Bull")[0].name).toBe("Bull");
+    expect(renameScenario(base, id, "   ")[0].name).toBe("Base");
+  });
+
+  it("duplicates next to the original with a new id", () => {
+    const list = duplicateScenario(addScenario(base, "Bear", DEFAULT_VALUES), base[0].id);
+    expect(list.map((s) => s.name)).toEqual(["Base", "Base (copy)", "Bear"]);
+    expect(list[1].id).not.toBe(list[0].id);
+    expect(list[1].values).toEqual(list[0].values);
+  });
+
+  it("deletes by id", () => {
+    expect(deleteScenario(base, base[0].id)).toEqual([]);
+  });
+});
+
+describe("scenario storage", () => {
+  it("round-trips through storage", () => {
+    const storage = memoryStorage();
+    const list = addScenario([], "Base", DEFAULT_VALUES);
+    expect(saveScenarios(list, storage)).toBe(true);
+    expect(loadScenarios(storage)).toEqual(list);
+  });
+
+  it("ignores corrupt or malformed entries", () => {
+    expect(loadScenarios(memoryStorage({ [STORAGE_KEY]: "{not json" }))).toEqual([]);
+
+    const good = addScenario([], "Base", DEFAULT_VALUES)[0];
+    const bad = { id: "x", name: "Broken", values: { ...DEFAULT_VALUES, req: "ten" } };
+    const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify([good, bad, null]) });
+    expect(loadScenarios(storage)).toEqual([good]);
+  });
+
+  it("gives scenarios saved without a usable timing the default", () => {
+    const { timing, ...older } = addScenario([], "Base", DEFAULT_VALUES, { frequency: 2, dividendBasis: "last", midYear: false })[0];
+    const odd = { ...older, id: "y", timing: { ...timing, frequency: 3 } };
+    const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify([older, odd]) });
+    expect(loadScenarios(storage).map((s) => s.timing)).toEqual([DEFAULT_TIMING, DEFAULT_TIMING]);
+  });
+
+  it("reports storage failures instead of throwing", () => {
+    const full = { getItem: () => null, setItem: () => { throw new Error("QuotaExceededError"); } };
+    expect(saveScenarios([], full)).toBe(false);
+    expect(loadScenarios(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+// Implied inputs from an observed market price, using the same pricing functions as the chart.
+// The unknown is varied over its feasible range; sign changes of price(x) - target are found on a
+// grid and refined by bisection, so every root in the range is reported, not just the first.
+// Labels and messages are for t (see messages.js).
+
+import { priceModel, perpetualGrowth, withPerpetualGrowth, MAX_HORIZON } from "./valuation";
+import { msg } from "./messages";
+
+export const UNKNOWNS = {
+  required: { label: "solver.unknown.required", percent: true },
+  growth: { label: "solver.unknown.growth", percent: true },
+  gShort: { label: "solver.unknown.gShort", percent: true },
+  years: { label: "solver.unknown.years", percent: false },
+};
+
+// Which unknowns each model's price depends on
+export const SOLVABLE = {
+  constant: ["required"],
+  growth: ["required", "growth"],
+  changing: ["required", "growth", "gShort", "years"],
+  hmodel: ["required", "growth", "gShort", "years"],
+};
+
+// For the H-model, "high-growth years" means the half-life H
+export const unknownLabel = (model, unknown) =>
+  model === "hmodel" && unknown === "years" ? "solver.unknown.halfLife" : UNKNOWNS[unknown].label;
+
+const MAX_RATE = 2;
+
+function withFirstStage(inputs, field, value) {
+  const [first, ...rest] = inputs.stages;
+  return { ...inputs, stages: [{ ...first, [field]: value }, ...rest] };
+}
+
+// Current value of the unknown and a function setting it, for the given model
+function unknownAccess(model, inputs, unknown) {
+  switch (unknown) {
+    case "required":
+      return { current: inputs.required, set: (x) => ({ ...inputs, required: x }) };
+    case "growth":
+      return { current: perpetualGrowth(model, inputs), set: (x) => withPerpetualGrowth(model, inputs, x) };
+    case "gShort":
+      return { current: inputs.stages[0].growth, set: (x) => withFirstStage(inputs, "growth", x) };
+    case "years":
+      return model === "hmodel"
+        ? { current: inputs.halfLife, set: (x) => ({ ...inputs, halfLife: x }) }
+        : { current: inputs.stages[0].years, set: (x) => withFirstStage(inputs, "years", x) };
+    default:
+      return null;
+  }
+}
+
+// Search interval for the unknown. Rates stay on the side of g < r the models can price.
+function searchRange(model, inputs, unknown) {
+  const g = perpetualGrowth(model, inputs);
+  switch (unknown) {
+    case "required": return [model === "constant" ? 1e-6 : Math.max(g, 0) + 1e-6, MAX_RATE];
+    case "growth": return [0, inputs.required - 1e-6];
+    case "gShort": return [0, MAX_RATE];
+    case "years": return [0, model === "hmodel" ? MAX_HORIZON / 2 : MAX_HORIZON];
+    default: return [NaN, NaN];
+  }
+}
+
+function bisect(f, lo, hi, tolerance) {
+  let fLo = f(lo);
+  let iterations = 0;
+  while (hi - lo > tolerance && iterations < 200) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (fMid === 0) return { root: mid, iterations };
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+    iterations++;
+  }
+  return { root: (lo + hi) / 2, iterations };
+}
+
+// Returns { status, value, roots, residual, iterations, message }. status is one of
+// "converged" (one root), "multiple" (value is the root nearest the current input),
+// "nearest" (whole-year unknown with no exact match; value is the closest whole year),
+// "no-solution" or "invalid".
+export function solveImplied({ model, inputs, unknown, price, samples = 400, tolerance = 1e-10 }) {
+  if (!(price > 0)) {
+    return { status: "invalid", value: NaN, roots: [], message: msg("solver.pricePositive") };
+  }
+  if (!(SOLVABLE[model] || []).includes(unknown)) {
+    return { status: "invalid", value: NaN, roots: [], message: msg("solver.notInModel", { unknown: UNKNOWNS[unknown] ? msg(UNKNOWNS[unknown].label) : unknown }) };
+  }
+  if ((unknown === "gShort" || (unknown === "years" && model === "changing")) && inputs.stages.length < 2) {
+    return { status: "invalid", value: NaN, roots: [], message: msg("solver.needSecondStage") };
+  }
+
+  const { current, set } = unknownAccess(model, inputs, unknown);
+  const f = (x) => priceModel(model, set(x)) - price;
+  const [lo, hi] = searchRange(model, inputs, unknown);
+  if (!(hi > lo)) {
+    return { status: "no-solution", value: NaN, roots: [], message: msg("solver.noRange") };
+  }
+
+  const wholeYears = unknown === "years" && model === "changing";
+  const xs = wholeYears
+    ? Array.from({ length: hi - lo + 1 }, (_, i) => lo + i)
+    : Array.from({ length: samples + 1 }, (_, i) => lo + (hi - lo) * i / samples);
+  const fs = xs.map(f);
+
+  const roots = [];
+  let iterations = 0;
+  let nearest = null;
+  for (let i = 0; i < xs.length; i++) {
+    if (!isFinite(fs[i])) continue;
+    if (Math.abs(fs[i]) <= tolerance * price) {
+      roots.push(xs[i]);
+      continue;
+    }
+    if (i === 0 || !isFinite(fs[i - 1]) || Math.abs(fs[i - 1]) <= tolerance * price) continue;
+    if (Math.sign(fs[i]) === Math.sign(fs[i - 1])) continue;
+
+    if (wholeYears) {
+      const closer = Math.abs(fs[i]) < Math.abs(fs[i - 1]) ? xs[i] : xs[i - 1];
+      if (nearest === null || Math.abs(f(closer)) < Math.abs(f(nearest))) nearest = closer;
+    } else {
+      const result = bisect(f, xs[i - 1], xs[i], tolerance);
+      roots.push(result.root);
+      iterations += result.iterations;
+    }
+  }
+
+  if (roots.length === 0 && nearest !== null) {
+    return {
+      status: "nearest",
+      value: nearest,
+      roots: [],
+      residual: f(nearest),
+      iterations,
+      message: msg("solver.nearest"),
+    };
+  }
+  if (roots.length === 0) {
+    return { status: "no-solution", value: NaN, roots, iterations, message: msg("solver.noSolution") };
+  }
+
+  const value = roots.reduce((best, root) => Math.abs(root - current) < Math.abs(best - current) ? root : best);
+  return {
+    status: roots.length > 1 ? "multiple" : "converged",
+    value,
+    roots,
+    residual: f(value),
+    iterations,
+    message: roots.length > 1 ? msg("solver.multiple", { count: roots.length }) : msg("solver.converged"),
+  };
+}
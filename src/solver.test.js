@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { solveImplied } from "./solver";
+import { priceModel, MAX_HORIZON } from "./valuation";
+import { msg } from "./messages";
+
+describe("solveImplied", () => {
+  const inputs = {
+    D0: 2,
+    required: 0.1,
+    gConst: 0.05,
+    stages: [{ growth: 0.2, years: 3 }, { growth: 0.05 }],
+    halfLife: 5,
+  };
+
+  it("recovers the required return implied by a Gordon price", () => {
+    // D0 = $2.00, g = 5%, price $42.00 implies r = 2.10 / 42 + 5% = 10%
+    const result = solveImplied({ model: "growth", inputs: { ...inputs, required: 0.15 }, unknown: "required", price: 42 });
+    expect(result.status).toBe("converged");
+    expect(result.value).toBeCloseTo(0.1, 8);
+  });
+
+  it("recovers the implied growth rate", () => {
+    const result = solveImplied({ model: "growth", inputs: { ...inputs, gConst: 0 }, unknown: "growth", price: 42 });
+    expect(result.status).toBe("converged");
+    expect(result.value).toBeCloseTo(0.05, 8);
+  });
+
+  it("solves the constant dividend model for r", () => {
+    const result = solveImplied({ model: "constant", inputs, unknown: "required", price: 40 });
+    expect(result.value).toBeCloseTo(0.05, 8);
+  });
+
+  it("round-trips the first stage growth of the changing model", () => {
+    const price = priceModel("changing", inputs);
+    const result = solveImplied({ model: "changing", inputs: { ...inputs, stages: [{ growth: 0.1, years: 3 }, { growth: 0.05 }] }, unknown: "gShort", price });
+    expect(result.status).toBe("converged");
+    expect(result.value).toBeCloseTo(0.2, 8);
+  });
+
+  it("finds whole high-growth years for the changing model", () => {
+    const price = priceModel("changing", inputs);
+    const exact = solveImplied({ model: "changing", inputs: { ...inputs, stages: [{ growth: 0.2, years: 1 }, { growth: 0.05 }] }, unknown: "years", price });
+    expect(exact.status).toBe("converged");
+    expect(exact.value).toBe(3);
+
+    const between = solveImplied({ model: "changing", inputs, unknown: "years", price: price + 0.5 });
+    expect(between.status).toBe("nearest");
+    expect(Number.isInteger(between.value)).toBe(true);
+  });
+
+  it("reports every root and picks the one nearest the current input", () => {
+    // The models' prices are monotonic in the rates, but with the high-growth stage growing at the
+    // long-term rate the changing-model price is the same for any number of high-growth years
+    const flat = { ...inputs, stages: [{ growth: 0.05, years: 3 }, { growth: 0.05 }] };
+    const price = priceModel("changing", flat);
+    const result = solveImplied({ model: "changing", inputs: flat, unknown: "years", price });
+    expect(result.status).toBe("multiple");
+    expect(result.roots).toEqual(Array.from({ length: MAX_HORIZON + 1 }, (_, years) => years));
+    expect(result.message).toEqual(msg("solver.multiple", { count: MAX_HORIZON + 1 }));
+    expect(result.value).toBe(3);
+
+    const later = solveImplied({ model: "changing", inputs: { ...flat, stages: [{ growth: 0.05, years: 12 }, { growth: 0.05 }] }, unknown: "years", price });
+    expect(later.status).toBe("multiple");
+    expect(later.value).toBe(12);
+  });
+
+  it("solves the H-model half-life", () => {
+    const price = priceModel("hmodel", inputs);
+    const result = solveImplied({ model: "hmodel", inputs: { ...inputs, halfLife: 1 }, unknown: "years", price });
+    expect(result.value).toBeCloseTo(5, 6);
+  });
+
+  it("reports when no value reproduces the price", () => {
+    // With g = 5% the Gordon price stays above 2.10 / 1.95 ≈ $1.08 for any r up to 200%
+    const result = solveImplied({ model: "growth", inputs, unknown: "required", price: 0.5 });
+    expect(result.status).toBe("no-solution");
+    expect(result.value).toBeNaN();
+  });
+
+  it("rejects unknowns the model does not depend on and non-positive prices", () => {
+    expect(solveImplied({ model: "constant", inputs, unknown: "growth", price: 40 }).status).toBe("invalid");
+    expect(solveImplied({ model: "growth", inputs, unknown: "required", price: 0 }).status).toBe("invalid");
+  });
+});
@@ -0,0 +1,135 @@
+import React, { useState, useRef } from "react";
+import { useLocale } from "./locale";
+
+export function Card({ title, children, className = "" }) {
+  return (
+    <div className={`bg-white rounded-2xl shadow-md p-5 border border-gray-100 ${className}`}>
+      <h2 className="font-serif text-xl text-slate-800 mb-3">{title}</h2>
+      <div className="font-sans text-sm text-black/80">{children}</div>
+    </div>
+  );
+}
+
+export function InfoIcon({ children, id }) {
+  const { t } = useLocale();
+  const [showTooltip, setShowTooltip] = useState(false);
+  
+  return (
+    <div className="relative inline-block ml-1">
+      <button
+        type="button"
+        className="w-4 h-4 rounded-full bg-gray-400 text-white text-xs font-bold hover:bg-gray-500 focus:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+        onMouseEnter={() => setShowTooltip(true)}
+        onMouseLeave={() => setShowTooltip(false)}
+        onFocus={() => setShowTooltip(true)}
+        onBlur={() => setShowTooltip(false)}
+        aria-describedby={`${id}-tooltip`}
+        aria-label={t("ui.moreInfo")}
+      >
+        ?
+      </button>
+      
+      {showTooltip && (
+        <div
+          id={`${id}-tooltip`}
+          role="tooltip"
+          className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded whitespace-nowrap z-10 max-w-xs"
+        >
+          {children}
+          <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-800"></div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Single-choice button group with radio semantics: one tab stop, arrow keys move the selection.
+// options is [{ value, label, activeClass }]; activeClass styles the checked option.
+export function RadioGroup({ label, options, value, onChange, className = "" }) {
+  const buttons = useRef([]);
+  const current = options.findIndex((option) => option.value === value);
+
+  const move = (e) => {
+    const offset = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+    let next;
+    if (offset) next = (Math.max(current, 0) + offset + options.length) % options.length;
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = options.length - 1;
+    else return;
+    e.preventDefault();
+    onChange(options[next].value);
+    buttons.current[next]?.focus();
+  };
+
+  return (
+    <div className={`inline-flex rounded-lg overflow-hidden border border-gray-200 ${className}`} role="radiogroup" aria-label={label} onKeyDown={move}>
+      {options.map((option, i) => {
+        const checked = option.value === value;
+        return (
+          <button
+            key={option.value}
+            ref={(el) => { buttons.current[i] = el; }}
+            type="button"
+            role="radio"
+            aria-checked={checked}
+            tabIndex={checked || (current === -1 && i === 0) ? 0 : -1}
+            className={`px-3 py-2 text-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500 ${i > 0 ? "border-l" : ""} ${checked ? `${option.activeClass} font-semibold` : "bg-white text-gray-600"}`}
+            onClick={() => onChange(option.value)}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Text input for a number in the active locale's notation, so "2,5" works where comma is the decimal
+// separator. onChange gets the parsed number; blank or malformed text stays on screen, marked invalid,
+// and sends NaN, so callers validate the value rather than price a cleared field as 0. The arrow keys
+// step the value by step, unless the input is readOnly.
+export function NumberInput({ value, onChange, step = 1, readOnly = false, className = "", ...props }) {
+  const { fmt, t } = useLocale();
+  const [draft, setDraft] = useState({ text: fmt.input(value), value, locale: fmt.locale });
+
+  let text = draft.text;
+  if (!Object.is(draft.value, value) || draft.locale !== fmt.locale) {
+    // Changed from outside (a loaded scenario, another locale): show the new value unless the
+    // text being typed already means it
+    text = draft.locale === fmt.locale && Object.is(fmt.parse(draft.text), value) ? draft.text : fmt.input(value);
+    setDraft({ text, value, locale: fmt.locale });
+  }
+
+  const parse = (raw) => raw.trim() === "" ? NaN : fmt.parse(raw);
+  const invalid = Number.isNaN(parse(text));
+
+  const edit = (raw) => {
+    const next = parse(raw);
+    setDraft({ text: raw, value: next, locale: fmt.locale });
+    if (!Object.is(next, value)) onChange(next);
+  };
+
+  const nudge = (e) => {
+    const direction = { ArrowUp: 1, ArrowDown: -1 }[e.key];
+    if (!direction || readOnly || invalid || !isFinite(value)) return;
+    e.preventDefault();
+    const next = Number((value + direction * Number(step)).toFixed(10));
+    setDraft({ text: fmt.input(next), value: next, locale: fmt.locale });
+    onChange(next);
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={text}
+      onChange={(e) => edit(e.target.value)}
+      onKeyDown={nudge}
+      readOnly={readOnly}
+      aria-invalid={invalid || undefined}
+      title={invalid ? t("input.invalidNumber") : undefined}
+      className={`${className} ${invalid ? "border-red-500 ring-1 ring-red-500" : ""}`}
+      {...props}
+    />
+  );
+}
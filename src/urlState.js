@@ -0,0 +1,81 @@
+// Calculator inputs and the selected model in the query string, e.g.
+// ?D0=5&r=10&g=5&stages=5:5,3&H=2.5&horizon=10&model=growth
+// Stages are growth:years pairs; the terminal stage is just its growth rate.
+
+import { DEFAULT_VALUES } from "./inputs";
+import { MAX_HORIZON } from "./valuation";
+
+export const MODEL_KEYS = ["all", "constant", "growth", "changing", "hmodel"];
+export const DEFAULT_MODEL = "constant";
+
+// The terminal stage's length is unused; this is what it shows if the stage is later moved up
+const TERMINAL_YEARS = DEFAULT_VALUES.stages[DEFAULT_VALUES.stages.length - 1].years;
+
+const parseNumber = (text) => {
+  if (text === null || text.trim() === "") return NaN;
+  return Number(text);
+};
+
+function parseStages(text) {
+  const parts = text.split(",");
+  const stages = parts.map((part, i) => {
+    const [growthText, yearsText] = part.split(":");
+    const growth = parseNumber(growthText);
+    const isTerminal = i === parts.length - 1;
+    const years = isTerminal && yearsText === undefined ? TERMINAL_YEARS : parseNumber(yearsText ?? null);
+    return { growth, years };
+  });
+  const valid = stages.every((stage) => isFinite(stage.growth) && Number.isInteger(stage.years) && stage.years >= 0);
+  return valid ? stages : null;
+}
+
+const formatStages = (stages) =>
+  stages.map((stage, i) => i === stages.length - 1 ? `${stage.growth}` : `${stage.growth}:${stage.years}`).join(",");
+
+export function encodeQuery(values, selectedModel) {
+  const params = new URLSearchParams({
+    D0: values.D0,
+    r: values.req,
+    g: values.gConst,
+    stages: formatStages(values.stages),
+    H: values.halfLife,
+    horizon: values.horizon,
+    model: selectedModel,
+  });
+  return `?${params.toString().replace(/%3A/g, ":").replace(/%2C/g, ",")}`;
+}
+
+// Returns { values, selectedModel, invalid } where invalid lists the parameters that were present
+// but malformed; those fall back to their defaults. Missing parameters silently use defaults.
+export function decodeQuery(search) {
+  const params = new URLSearchParams(search);
+  const values = { ...DEFAULT_VALUES };
+  let selectedModel = DEFAULT_MODEL;
+  const invalid = [];
+
+  const readNumber = (param, field, isValid = isFinite) => {
+    if (!params.has(param)) return;
+    const value = parseNumber(params.get(param));
+    if (isValid(value)) values[field] = value;
+    else invalid.push(param);
+  };
+
+  readNumber("D0", "D0");
+  readNumber("r", "req");
+  readNumber("g", "gConst");
+  readNumber("H", "halfLife", (x) => isFinite(x) && x >= 0);
+  readNumber("horizon", "horizon", (x) => Number.isInteger(x) && x >= 1 && x <= MAX_HORIZON);
+
+  if (params.has("stages")) {
+    const stages = parseStages(params.get("stages"));
+    if (stages) values.stages = stages;
+    else invalid.push("stages");
+  }
+
+  if (params.has("model")) {
+    if (MODEL_KEYS.includes(params.get("model"))) selectedModel = params.get("model");
+    else invalid.push("model");
+  }
+
+  return { values, selectedModel, invalid };
+}
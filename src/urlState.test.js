@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { encodeQuery, decodeQuery } from "./urlState";
+import { DEFAULT_VALUES } from "./inputs";
+
+describe("URL state", () => {
+  const values = {
+    D0: 2.5,
+    req: 9,
+    gConst: 4,
+    stages: [{ growth: 15, years: 3 }, { growth: 8, years: 2 }, { growth: 3, years: 5 }],
+    halfLife: 4,
+    horizon: 15,
+  };
+
+  it("encodes inputs and the model readably", () => {
+    expect(encodeQuery(values, "changing")).toBe("?D0=2.5&r=9&g=4&stages=15:3,8:2,3&H=4&horizon=15&model=changing");
+  });
+
+  it("round-trips through the query string", () => {
+    const decoded = decodeQuery(encodeQuery(values, "hmodel"));
+    expect(decoded.invalid).toEqual([]);
+    expect(decoded.selectedModel).toBe("hmodel");
+    expect(decoded.values).toEqual(values);
+  });
+
+  it("uses defaults for missing parameters without complaint", () => {
+    expect(decodeQuery("")).toEqual({ values: DEFAULT_VALUES, selectedModel: "constant", invalid: [] });
+    expect(decodeQuery("?r=12").values).toEqual({ ...DEFAULT_VALUES, req: 12 });
+  });
+
+  it("falls back to defaults for malformed parameters and names them", () => {
+    const decoded = decodeQuery("?D0=abc&r=&g=4&stages=5:x,3&horizon=2.5&model=magic&H=-1");
+    expect(decoded.invalid.sort()).toEqual(["D0", "H", "horizon", "model", "r", "stages"]);
+    expect(decoded.values).toEqual({ ...DEFAULT_VALUES, gConst: 4 });
+    expect(decoded.selectedModel).toBe("constant");
+  });
+});
@@ -0,0 +1,406 @@
+// Dividend discount model pricing. Pure functions, no React.
+// Rates are decimals (0.1 = 10%). Each model returns { price, cashFlows, errors }
+// where cashFlows is [{ year, dividend }] for years 1..horizon and errors maps
+// the offending input name to a message for t (messages.js; empty when the inputs are valid).
+// The models count in payment periods; buildDividendSeries, priceModel and pvBreakdown take
+// annual inputs plus the timing convention and convert them with periodInputs.
+
+import { msg } from "./messages";
+
+export const DEFAULT_HORIZON = 10;
+export const MAX_HORIZON = 100;
+
+export const DEFAULT_STAGES = [{ growth: 0.05, years: 5 }, { growth: 0.03 }];
+
+// frequency is payments a year (1, 2 or 4); dividendBasis says whether D0 is the last dividend
+// paid ("last", D₀) or next year's ("next", D₁)
+export const DEFAULT_TIMING = { frequency: 1, dividendBasis: "last", midYear: false };
+export const FREQUENCIES = [1, 2, 4];
+
+export const discountFactor = (required, t) => 1 / Math.pow(1 + required, t);
+
+function commonErrors({ D0, required }) {
+  const errors = {};
+  if (D0 <= 0) errors.D0 = msg("valuation.error.D0");
+  if (required <= 0) errors.required = msg("valuation.error.required");
+  return errors;
+}
+
+function projectDividends(horizon, dividendAt) {
+  const cashFlows = [];
+  for (let year = 1; year <= horizon; year++) {
+    cashFlows.push({ year, dividend: dividendAt(year) });
+  }
+  return cashFlows;
+}
+
+// Dividend stream grown at growthAt(t) in year t, memoised so later years reuse earlier ones
+function growingDividends(D0, growthAt) {
+  const dividends = [D0];
+  return (year) => {
+    for (let t = dividends.length; t <= year; t++) {
+      dividends.push(dividends[t - 1] * (1 + growthAt(t)));
+    }
+    return dividends[year];
+  };
+}
+
+const perPeriod = (rate, frequency) => frequency === 1 ? rate : Math.pow(1 + rate, 1 / frequency) - 1;
+
+// Growth over the first year, which takes a next-year dividend back to D₀
+function firstYearGrowth(model, { gConst, stages, halfLife }) {
+  if (model === "constant") return 0;
+  if (model === "growth") return gConst;
+  if (stages.length === 0) return NaN;
+  if (model === "hmodel") return halfLife > 0 ? stages[0].growth : stages[stages.length - 1].growth;
+  return (stages.slice(0, -1).find((stage) => stage.years > 0) ?? stages[stages.length - 1]).growth;
+}
+
+// One model's inputs restated per payment period. D0 is an annual rate, so each of the frequency
+// payments is D0 ÷ frequency; rates compound down to (1 + r)^(1/frequency) - 1 and stage lengths,
+// the half-life and the horizon become counts of periods. With mid-year discounting each payment
+// arrives half a period sooner, which scales every value by timingFactor = (1 + r)^½.
+export function periodInputs(model, { D0, required, gConst, stages = DEFAULT_STAGES, halfLife = 2.5, horizon = DEFAULT_HORIZON, frequency = 1, dividendBasis = "last", midYear = false }) {
+  const annualD0 = dividendBasis === "next" ? D0 / (1 + firstYearGrowth(model, { gConst, stages, halfLife })) : D0;
+  const periodRequired = perPeriod(required, frequency);
+  return {
+    D0: annualD0 / frequency,
+    required: periodRequired,
+    gConst: perPeriod(gConst, frequency),
+    stages: stages.map((stage) => ({ growth: perPeriod(stage.growth, frequency), years: stage.years * frequency })),
+    halfLife: halfLife * frequency,
+    horizon: horizon * frequency,
+    timingFactor: midYear ? Math.sqrt(1 + periodRequired) : 1,
+  };
+}
+
+// P = D₀ ÷ r
+export function constantDividend({ D0, required, horizon = DEFAULT_HORIZON }) {
+  const errors = commonErrors({ D0, required });
+  const price = required > 0 ? D0 / required : NaN;
+  const cashFlows = projectDividends(horizon, () => D0);
+  return { price, cashFlows, errors };
+}
+
+// Gordon growth: P = D₁ ÷ (r - g). The terminal value is P at the end of the horizon, D(N+1) ÷ (r - g).
+export function constantGrowth({ D0, required, gConst, horizon = DEFAULT_HORIZON }) {
+  const errors = commonErrors({ D0, required });
+  if (gConst >= required) errors.gConst = msg("valuation.error.gConst");
+
+  const dividendAt = (year) => D0 * Math.pow(1 + gConst, year);
+  const valid = gConst < required && gConst >= 0;
+  const price = valid ? dividendAt(1) / (required - gConst) : NaN;
+  const terminalYear = horizon;
+  const terminalValue = valid ? dividendAt(terminalYear + 1) / (required - gConst) : NaN;
+
+  const cashFlows = projectDividends(horizon, dividendAt);
+  return { price, cashFlows, errors, terminalValue, terminalYear };
+}
+
+function stageErrors(stages, required) {
+  const errors = {};
+  if (!stages || stages.length === 0) {
+    errors.stages = msg("valuation.error.stages");
+    return errors;
+  }
+  stages.slice(0, -1).forEach((stage, i) => {
+    if (!Number.isInteger(stage.years) || stage.years < 0) {
+      errors[`stage${i + 1}`] = msg("valuation.error.stageYears", { n: i + 1 });
+    }
+  });
+  if (stages[stages.length - 1].growth >= required) errors.gLong = msg("valuation.error.gLong");
+  return errors;
+}
+
+// Multi-stage: each stage is { growth, years }; the last stage is the perpetual terminal stage and its
+// years are ignored. Price = PV of the dividends through the end of the finite stages plus the PV of
+// the Gordon terminal value at that point (year 1 at the earliest, so there is a bar to show it on).
+export function multiStageGrowth({ D0, required, stages, horizon = DEFAULT_HORIZON }) {
+  const scheduleErrors = stageErrors(stages, required);
+  const errors = { ...commonErrors({ D0, required }), ...scheduleErrors };
+
+  const finiteStages = (stages || []).slice(0, -1);
+  const terminalGrowth = stages && stages.length > 0 ? stages[stages.length - 1].growth : NaN;
+  const terminalYear = Math.max(1, finiteStages.reduce((sum, stage) => sum + stage.years, 0));
+
+  const growthAt = (year) => {
+    let end = 0;
+    for (const stage of finiteStages) {
+      end += stage.years;
+      if (year <= end) return stage.growth;
+    }
+    return terminalGrowth;
+  };
+  const dividendAt = growingDividends(D0, growthAt);
+
+  let price = NaN;
+  let terminalValue = NaN;
+  if (Object.keys(scheduleErrors).length === 0 && stages.every((stage) => stage.growth >= 0)) {
+    let pvStages = 0;
+    for (let t = 1; t <= terminalYear; t++) {
+      pvStages += dividendAt(t) * discountFactor(required, t);
+    }
+
+    terminalValue = dividendAt(terminalYear + 1) / (required - terminalGrowth);
+    price = pvStages + terminalValue * discountFactor(required, terminalYear);
+  }
+
+  const cashFlows = projectDividends(horizon, dividendAt);
+  return { price, cashFlows, errors, terminalValue, terminalYear };
+}
+
+// Two-stage: gShort for shortYears, then gLong forever
+export function twoStageGrowth({ D0, required, gShort, gLong, shortYears, horizon = DEFAULT_HORIZON }) {
+  const stages = [{ growth: gShort, years: shortYears }, { growth: gLong }];
+  return multiStageGrowth({ D0, required, stages, horizon });
+}
+
+// H-model: growth declines linearly from gShort to gLong over 2H years, then stays at gLong.
+// P = [D₀(1 + gL) + D₀·H·(gS - gL)] ÷ (r - gL). The formula is an approximation, so the terminal
+// value (the Gordon value once growth has settled at gL) is for display and is not part of the price.
+export function hModel({ D0, required, gShort, gLong, halfLife, horizon = DEFAULT_HORIZON }) {
+  const errors = commonErrors({ D0, required });
+  if (gLong >= required) errors.gLong = msg("valuation.error.gLong");
+  if (halfLife < 0) errors.halfLife = msg("valuation.error.halfLife");
+
+  const growthAt = (year) => year - 1 < 2 * halfLife
+    ? gShort + (gLong - gShort) * (year - 1) / (2 * halfLife)
+    : gLong;
+
+  const dividendAt = growingDividends(D0, growthAt);
+  const terminalYear = Math.max(1, Math.ceil(2 * halfLife));
+
+  let price = NaN;
+  let terminalValue = NaN;
+  if (gLong < required && gLong >= 0 && gShort >= 0 && halfLife >= 0) {
+    price = (D0 * (1 + gLong) + D0 * halfLife * (gShort - gLong)) / (required - gLong);
+    terminalValue = dividendAt(terminalYear + 1) / (required - gLong);
+  }
+
+  const cashFlows = projectDividends(horizon, dividendAt);
+  return { price, cashFlows, errors, terminalValue, terminalYear };
+}
+
+// Chart rows for all four models: year 0 holds the (negative) price paid, years 1..horizon
+// the dividends. Models without a valid price get null rows so the chart leaves them blank.
+// Growth models also get a <dataKey>TV value in their terminal year, stacked on that year's
+// dividend, and a <dataKey>Price value in every year: the projected price from pricePath.
+// The horizon is stretched to reach every terminal year, up to MAX_HORIZON.
+// The H-model runs from the first stage's growth rate down to the terminal stage's.
+// With more than one payment a year the rows, horizon and terminal years count payment periods.
+export function buildDividendSeries({ D0 = 5, required = 0.1, gConst = 0.05, stages = DEFAULT_STAGES, halfLife = 2.5, horizon = DEFAULT_HORIZON, frequency = 1, dividendBasis = "last", midYear = false }) {
+  const timing = { frequency, dividendBasis, midYear };
+  const errors = {};
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON) {
+    errors.horizon = msg("valuation.error.horizon", { max: MAX_HORIZON });
+  }
+
+  const annual = { D0, required, gConst, stages, halfLife, horizon, ...timing };
+  const periods = Object.fromEntries(["constant", "growth", "changing", "hmodel"].map((model) => [model, periodInputs(model, annual)]));
+  const periodStages = periods.changing.stages;
+  const periodHalfLife = periods.hmodel.halfLife;
+
+  const gShort = periodStages.length > 0 ? periodStages[0].growth : NaN;
+  const gLong = periodStages.length > 0 ? periodStages[periodStages.length - 1].growth : NaN;
+  const stageYears = periodStages.slice(0, -1).reduce((sum, stage) => sum + stage.years, 0);
+  const chartHorizon = Math.min(MAX_HORIZON * frequency, Math.max(
+    (Number.isInteger(horizon) ? horizon : DEFAULT_HORIZON) * frequency,
+    Number.isInteger(stageYears) ? stageYears : 0,
+    periodHalfLife > 0 ? Math.ceil(2 * periodHalfLife) : 0,
+  ));
+
+  // Mid-year discounting moves every price and terminal value by the model's timing factor
+  const timed = ({ timingFactor }, result) => ({ ...result, price: result.price * timingFactor, terminalValue: result.terminalValue * timingFactor });
+  const constant = timed(periods.constant, constantDividend({ ...periods.constant, horizon: chartHorizon }));
+  const growth = timed(periods.growth, constantGrowth({ ...periods.growth, horizon: chartHorizon }));
+  const changing = timed(periods.changing, multiStageGrowth({ ...periods.changing, horizon: chartHorizon }));
+  const h = timed(periods.hmodel, hModel({ ...periods.hmodel, gShort, gLong, horizon: chartHorizon }));
+
+  const paths = Object.fromEntries(Object.keys(periods).map((model) => [model, pricePath(model, annual, chartHorizon)]));
+  const projected = (model, year) => isNaN(paths[model][year]) ? null : paths[model][year];
+
+  const valueOrNull = (model, value) => isNaN(model.price) ? null : value;
+  const terminalOrNull = (model, year) => year === model.terminalYear && !isNaN(model.terminalValue) ? model.terminalValue : null;
+
+  const data = [
+    {
+      year: 0,
+      yearLabel: "0",
+      constDiv: -constant.price,
+      constGrow: valueOrNull(growth, -growth.price),
+      changingGrowth: valueOrNull(changing, -changing.price),
+      hModel: valueOrNull(h, -h.price),
+      constDivPrice: projected("constant", 0),
+      constGrowPrice: projected("growth", 0),
+      changingGrowthPrice: projected("changing", 0),
+      hModelPrice: projected("hmodel", 0),
+    }
+  ];
+
+  for (let i = 0; i < chartHorizon; i++) {
+    const year = i + 1;
+    data.push({
+      year,
+      yearLabel: year.toString(),
+      constDiv: constant.cashFlows[i].dividend,
+      constGrow: valueOrNull(growth, growth.cashFlows[i].dividend),
+      constGrowTV: terminalOrNull(growth, year),
+      changingGrowth: valueOrNull(changing, changing.cashFlows[i].dividend),
+      changingGrowthTV: terminalOrNull(changing, year),
+      hModel: valueOrNull(h, h.cashFlows[i].dividend),
+      hModelTV: terminalOrNull(h, year),
+      constDivPrice: projected("constant", year),
+      constGrowPrice: projected("growth", year),
+      changingGrowthPrice: projected("changing", year),
+      hModelPrice: projected("hmodel", year),
+    });
+  }
+
+  return {
+    data,
+    horizon: chartHorizon,
+    priceNoGrowth: constant.price,
+    priceConstantGrowth: growth.price,
+    priceChangingGrowth: changing.price,
+    priceHModel: h.price,
+    prices: { constant: constant.price, growth: growth.price, changing: changing.price, hmodel: h.price },
+    terminalYears: { growth: growth.terminalYear, changing: changing.terminalYear, hmodel: h.terminalYear },
+    timing,
+    errors: { ...constant.errors, ...growth.errors, ...changing.errors, ...h.errors, ...errors },
+  };
+}
+
+// Price of one model (keyed as in MODEL_CONFIG) from the same inputs buildDividendSeries takes
+export function priceModel(model, inputs) {
+  const { D0, required, gConst, stages, halfLife, timingFactor } = periodInputs(model, inputs);
+  switch (model) {
+    case "constant": return constantDividend({ D0, required, horizon: 0 }).price * timingFactor;
+    case "growth": return constantGrowth({ D0, required, gConst, horizon: 0 }).price * timingFactor;
+    case "changing": return multiStageGrowth({ D0, required, stages, horizon: 0 }).price * timingFactor;
+    case "hmodel": {
+      if (stages.length === 0) return NaN;
+      const gShort = stages[0].growth;
+      const gLong = stages[stages.length - 1].growth;
+      return hModel({ D0, required, gShort, gLong, halfLife, horizon: 0 }).price * timingFactor;
+    }
+    default: return NaN;
+  }
+}
+
+// Intrinsic value at the end of periods 0..periods: what a buyer would pay then for the dividends
+// still to come, so path[0] is the price. Gordon: Pₜ = Dₜ₊₁ ÷ (r - g), which grows at g. The changing
+// model steps back from its terminal value, Pₜ = (Dₜ₊₁ + Pₜ₊₁) ÷ (1 + r), and is Gordon after it. The
+// H-model reapplies its formula to Dₜ with the growth still to fade: gₜ₊₁ falling to gL over 2(H - t/2).
+// Every entry is NaN when the model has no price.
+export function pricePath(model, inputs, periods) {
+  if (!isFinite(priceModel(model, inputs))) return Array(periods + 1).fill(NaN);
+  const { D0, required, gConst, stages, halfLife, timingFactor } = periodInputs(model, inputs);
+  const dividends = (cashFlows) => [D0, ...cashFlows.map((flow) => flow.dividend)];
+  const path = [];
+
+  if (model === "constant") {
+    for (let t = 0; t <= periods; t++) path.push(D0 / required);
+  } else if (model === "growth") {
+    const D = dividends(constantGrowth({ D0, required, gConst, horizon: periods + 1 }).cashFlows);
+    for (let t = 0; t <= periods; t++) path.push(D[t + 1] / (required - gConst));
+  } else if (model === "changing") {
+    const gLong = stages[stages.length - 1].growth;
+    const stagesEnd = multiStageGrowth({ D0, required, stages, horizon: 0 }).terminalYear;
+    const end = Math.max(periods, stagesEnd);
+    const { cashFlows, terminalValue } = multiStageGrowth({ D0, required, stages, horizon: end + 1 });
+    const D = dividends(cashFlows);
+    const full = [];
+    full[stagesEnd] = terminalValue;
+    for (let t = stagesEnd - 1; t >= 0; t--) full[t] = (D[t + 1] + full[t + 1]) / (1 + required);
+    for (let t = stagesEnd + 1; t <= end; t++) full[t] = D[t + 1] / (required - gLong);
+    path.push(...full.slice(0, periods + 1));
+  } else {
+    const gShort = stages[0].growth;
+    const gLong = stages[stages.length - 1].growth;
+    const D = dividends(hModel({ D0, required, gShort, gLong, halfLife, horizon: periods + 1 }).cashFlows);
+    for (let t = 0; t <= periods; t++) {
+      const fading = Math.max(0, halfLife - t / 2);
+      const gNext = D[t + 1] / D[t] - 1;
+      path.push(D[t] * (1 + gLong + fading * (gNext - gLong)) / (required - gLong));
+    }
+  }
+  return path.map((price) => price * timingFactor);
+}
+
+// The growth rate a model's price hinges on: g for Gordon, the terminal stage rate otherwise
+export function perpetualGrowth(model, { gConst, stages = DEFAULT_STAGES }) {
+  if (model === "growth") return gConst;
+  return stages.length > 0 ? stages[stages.length - 1].growth : NaN;
+}
+
+export function withPerpetualGrowth(model, inputs, growth) {
+  if (model === "growth") return { ...inputs, gConst: growth };
+  const stages = inputs.stages || DEFAULT_STAGES;
+  return { ...inputs, stages: [...stages.slice(0, -1), { ...stages[stages.length - 1], growth }] };
+}
+
+// Prices over required returns (rows) × perpetual growth rates (columns). Cells with g ≥ r are
+// flagged invalid rather than priced.
+export function sensitivityGrid(model, inputs, requiredRates, growthRates) {
+  return requiredRates.map((required) => ({
+    required,
+    cells: growthRates.map((growth) => {
+      const invalid = growth >= required;
+      const price = invalid ? NaN : priceModel(model, withPerpetualGrowth(model, { ...inputs, required }, growth));
+      return { growth, price, invalid };
+    }),
+  }));
+}
+
+// "Show your work" rows for one model: each discounted dividend with its discount factor and running
+// PV, then the terminal value row. The H-model has no per-year discounting; it is split into the
+// value at long-run growth plus the premium for the high-growth period. total equals the price.
+// Row kinds: "dividend", "terminal" and "component", whose label is a message key. Rows count
+// payment periods, discounted half a period sooner with mid-year discounting.
+export function pvBreakdown(model, inputs) {
+  const price = priceModel(model, inputs);
+  if (!isFinite(price)) return { rows: [], total: NaN, price };
+
+  const { D0, required, gConst, stages, halfLife, horizon, timingFactor } = periodInputs(model, inputs);
+  const offset = inputs.midYear ? 0.5 : 0;
+
+  if (model === "hmodel") {
+    const gShort = stages[0].growth;
+    const gLong = stages[stages.length - 1].growth;
+    const stable = timingFactor * D0 * (1 + gLong) / (required - gLong);
+    const premium = timingFactor * D0 * halfLife * (gShort - gLong) / (required - gLong);
+    const rows = [
+      { kind: "component", label: "breakdown.stable", pv: stable, cumulativePV: stable },
+      { kind: "component", label: "breakdown.premium", pv: premium, cumulativePV: stable + premium },
+    ];
+    return { rows, total: stable + premium, price };
+  }
+
+  let cashFlows;
+  let terminalYear;
+  let terminalValue;
+  if (model === "constant") {
+    terminalYear = horizon;
+    cashFlows = constantDividend({ D0, required, horizon }).cashFlows;
+    terminalValue = D0 / required;
+  } else if (model === "growth") {
+    ({ cashFlows, terminalYear, terminalValue } = constantGrowth({ D0, required, gConst, horizon }));
+  } else {
+    const stagesEnd = multiStageGrowth({ D0, required, stages, horizon: 0 }).terminalYear;
+    ({ cashFlows, terminalYear, terminalValue } = multiStageGrowth({ D0, required, stages, horizon: stagesEnd }));
+  }
+
+  const rows = [];
+  let cumulativePV = 0;
+  for (const { year, dividend } of cashFlows) {
+    const factor = discountFactor(required, year - offset);
+    cumulativePV += dividend * factor;
+    rows.push({ kind: "dividend", year, amount: dividend, discountFactor: factor, pv: dividend * factor, cumulativePV });
+  }
+
+  const factor = discountFactor(required, terminalYear - offset);
+  cumulativePV += terminalValue * factor;
+  rows.push({ kind: "terminal", year: terminalYear, amount: terminalValue, discountFactor: factor, pv: terminalValue * factor, cumulativePV });
+
+  return { rows, total: cumulativePV, price };
+}
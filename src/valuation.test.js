@@ -0,0 +1,379 @@
+import { describe, it, expect } from "vitest";
+import {
+  constantDividend,
+  constantGrowth,
+  twoStageGrowth,
+  multiStageGrowth,
+  hModel,
+  buildDividendSeries,
+  discountFactor,
+  sensitivityGrid,
+  pvBreakdown,
+  priceModel,
+  periodInputs,
+  pricePath,
+} from "./valuation";
+
+describe("constantDividend", () => {
+  it("values a perpetuity as D ÷ r", () => {
+    // Preferred share paying $5 a year, 10% required return
+    const { price, errors } = constantDividend({ D0: 5, required: 0.1 });
+    expect(price).toBeCloseTo(50, 10);
+    expect(errors).toEqual({});
+  });
+
+  it("projects a flat dividend over the horizon", () => {
+    const { cashFlows } = constantDividend({ D0: 2, required: 0.08, horizon: 3 });
+    expect(cashFlows).toEqual([
+      { year: 1, dividend: 2 },
+      { year: 2, dividend: 2 },
+      { year: 3, dividend: 2 },
+    ]);
+  });
+
+  it("reports non-positive dividend and required return", () => {
+    const { price, errors } = constantDividend({ D0: 0, required: 0 });
+    expect(price).toBeNaN();
+    expect(Object.keys(errors).sort()).toEqual(["D0", "required"]);
+  });
+});
+
+describe("constantGrowth", () => {
+  it("matches the Gordon growth textbook answer", () => {
+    // D0 = $2.00, g = 5%, r = 10%: D1 = 2.10, P = 2.10 / 0.05 = $42.00
+    const { price, errors } = constantGrowth({ D0: 2, required: 0.1, gConst: 0.05 });
+    expect(price).toBeCloseTo(42, 10);
+    expect(errors).toEqual({});
+  });
+
+  it("puts a terminal value at the horizon that completes the price", () => {
+    const { price, cashFlows, terminalValue, terminalYear } = constantGrowth({ D0: 2, required: 0.1, gConst: 0.05, horizon: 5 });
+    const pvDividends = cashFlows.reduce((sum, cf) => sum + cf.dividend * discountFactor(0.1, cf.year), 0);
+    expect(terminalYear).toBe(5);
+    expect(pvDividends + terminalValue * discountFactor(0.1, 5)).toBeCloseTo(price, 10);
+  });
+
+  it("grows the projected dividend at g", () => {
+    const { cashFlows } = constantGrowth({ D0: 2, required: 0.1, gConst: 0.05, horizon: 2 });
+    expect(cashFlows[0].dividend).toBeCloseTo(2.1, 10);
+    expect(cashFlows[1].dividend).toBeCloseTo(2.205, 10);
+  });
+
+  it("rejects growth at or above the required return", () => {
+    const { price, errors } = constantGrowth({ D0: 2, required: 0.1, gConst: 0.1 });
+    expect(price).toBeNaN();
+    expect(errors.gConst).toBeDefined();
+  });
+});
+
+describe("twoStageGrowth", () => {
+  // D0 = $1.00, 20% growth for 3 years then 5% forever, r = 12%
+  const inputs = { D0: 1, required: 0.12, gShort: 0.2, gLong: 0.05, shortYears: 3 };
+
+  it("matches the two-stage textbook answer", () => {
+    // D1..D3 = 1.20, 1.44, 1.728; P3 = 1.8144 / 0.07 = 25.92; V0 ≈ $21.90
+    const { price, terminalValue, errors } = twoStageGrowth(inputs);
+    expect(terminalValue).toBeCloseTo(25.92, 10);
+    expect(price).toBeCloseTo(21.899, 3);
+    expect(errors).toEqual({});
+  });
+
+  it("switches to the long-run rate after the high-growth years", () => {
+    const { cashFlows } = twoStageGrowth({ ...inputs, horizon: 5 });
+    expect(cashFlows.map((cf) => cf.dividend)).toEqual([
+      expect.closeTo(1.2, 10),
+      expect.closeTo(1.44, 10),
+      expect.closeTo(1.728, 10),
+      expect.closeTo(1.8144, 10),
+      expect.closeTo(1.90512, 10),
+    ]);
+  });
+
+  it("reduces to the Gordon price when both stages grow at the same rate", () => {
+    const twoStage = twoStageGrowth({ D0: 2, required: 0.1, gShort: 0.05, gLong: 0.05, shortYears: 4 });
+    const gordon = constantGrowth({ D0: 2, required: 0.1, gConst: 0.05 });
+    expect(twoStage.price).toBeCloseTo(gordon.price, 10);
+  });
+
+  it("rejects long-term growth at or above the required return", () => {
+    const { price, errors } = twoStageGrowth({ ...inputs, gLong: 0.12 });
+    expect(price).toBeNaN();
+    expect(errors.gLong).toBeDefined();
+  });
+});
+
+describe("multiStageGrowth", () => {
+  // D0 = $1.00, 20% for 2 years, 10% for 2 years, then 5% forever, r = 12%
+  const stages = [{ growth: 0.2, years: 2 }, { growth: 0.1, years: 2 }, { growth: 0.05 }];
+
+  it("values a three-stage schedule", () => {
+    // D1..D4 = 1.20, 1.44, 1.584, 1.7424; P4 = 1.82952 / 0.07 = 26.136; V0 ≈ $21.064
+    const { price, terminalValue, terminalYear, errors } = multiStageGrowth({ D0: 1, required: 0.12, stages });
+    expect(terminalYear).toBe(4);
+    expect(terminalValue).toBeCloseTo(26.136, 10);
+    expect(price).toBeCloseTo(21.0641, 4);
+    expect(errors).toEqual({});
+  });
+
+  it("matches the two-stage model for a two-stage schedule", () => {
+    const multi = multiStageGrowth({ D0: 1, required: 0.12, stages: [{ growth: 0.2, years: 3 }, { growth: 0.05 }] });
+    const two = twoStageGrowth({ D0: 1, required: 0.12, gShort: 0.2, gLong: 0.05, shortYears: 3 });
+    expect(multi.price).toBeCloseTo(two.price, 10);
+  });
+
+  it("treats a single stage as Gordon growth", () => {
+    const multi = multiStageGrowth({ D0: 2, required: 0.1, stages: [{ growth: 0.05 }] });
+    expect(multi.price).toBeCloseTo(42, 10);
+  });
+
+  it("rejects fractional stage lengths and an empty schedule", () => {
+    const fractional = multiStageGrowth({ D0: 1, required: 0.12, stages: [{ growth: 0.2, years: 1.5 }, { growth: 0.05 }] });
+    expect(fractional.price).toBeNaN();
+    expect(fractional.errors.stage1).toBeDefined();
+
+    const empty = multiStageGrowth({ D0: 1, required: 0.12, stages: [] });
+    expect(empty.price).toBeNaN();
+    expect(empty.errors.stages).toBeDefined();
+  });
+});
+
+describe("hModel", () => {
+  // D0 = $1.00, growth falls from 20% to 6% over 2H = 10 years, r = 10%
+  const inputs = { D0: 1, required: 0.1, gShort: 0.2, gLong: 0.06, halfLife: 5 };
+
+  it("matches the H-model textbook answer", () => {
+    // V0 = [1.00 × 1.06 + 1.00 × 5 × (0.20 - 0.06)] ÷ (0.10 - 0.06) = $44.00
+    const { price, errors } = hModel(inputs);
+    expect(price).toBeCloseTo(44, 10);
+    expect(errors).toEqual({});
+  });
+
+  it("declines growth linearly to the long-run rate", () => {
+    const { cashFlows } = hModel({ ...inputs, horizon: 12 });
+    const growth = cashFlows.map((cf, i) => cf.dividend / (i === 0 ? 1 : cashFlows[i - 1].dividend) - 1);
+    expect(growth[0]).toBeCloseTo(0.2, 10);
+    expect(growth[5]).toBeCloseTo(0.13, 10);
+    expect(growth[10]).toBeCloseTo(0.06, 10);
+    expect(growth[11]).toBeCloseTo(0.06, 10);
+  });
+
+  it("reduces to the Gordon price when H is zero", () => {
+    const h = hModel({ ...inputs, halfLife: 0 });
+    const gordon = constantGrowth({ D0: 1, required: 0.1, gConst: 0.06 });
+    expect(h.price).toBeCloseTo(gordon.price, 10);
+  });
+
+  it("rejects a negative half-life", () => {
+    const { price, errors } = hModel({ ...inputs, halfLife: -1 });
+    expect(price).toBeNaN();
+    expect(errors.halfLife).toBeDefined();
+  });
+});
+
+describe("buildDividendSeries", () => {
+  it("puts the negative price in year 0 followed by the horizon's dividends", () => {
+    const { data, priceNoGrowth, priceConstantGrowth } = buildDividendSeries({});
+    expect(data).toHaveLength(11);
+    expect(data[0].constDiv).toBeCloseTo(-priceNoGrowth, 10);
+    expect(data[0].constGrow).toBeCloseTo(-priceConstantGrowth, 10);
+    expect(data[10].yearLabel).toBe("10");
+  });
+
+  it("honours a custom horizon", () => {
+    const { data, horizon } = buildDividendSeries({ horizon: 20, halfLife: 1 });
+    expect(horizon).toBe(20);
+    expect(data).toHaveLength(21);
+  });
+
+  it("stacks each growth model's terminal value on its terminal year only", () => {
+    const { data } = buildDividendSeries({ horizon: 10 });
+    expect(data.filter((row) => row.changingGrowthTV !== null && row.changingGrowthTV !== undefined).map((row) => row.year)).toEqual([5]);
+    expect(data.filter((row) => row.constGrowTV !== null && row.constGrowTV !== undefined).map((row) => row.year)).toEqual([10]);
+    expect(data.filter((row) => row.hModelTV !== null && row.hModelTV !== undefined).map((row) => row.year)).toEqual([5]);
+  });
+
+  it("extends the horizon to reach the end of the growth stages", () => {
+    const stages = [{ growth: 0.08, years: 15 }, { growth: 0.03 }];
+    const { data, horizon, errors } = buildDividendSeries({ stages, horizon: 10 });
+    expect(errors).toEqual({});
+    expect(horizon).toBe(15);
+    expect(data[15].changingGrowthTV).toBeGreaterThan(0);
+  });
+
+  it("rejects a horizon that is not a whole number of years", () => {
+    expect(buildDividendSeries({ horizon: 0 }).errors.horizon).toBeDefined();
+    expect(buildDividendSeries({ horizon: 2.5 }).errors.horizon).toBeDefined();
+  });
+
+  it("blanks the rows of a model without a valid price", () => {
+    const { data, errors } = buildDividendSeries({ required: 0.1, gConst: 0.12 });
+    expect(errors.gConst).toBeDefined();
+    expect(data.every((row) => row.constGrow === null)).toBe(true);
+    expect(data[1].constDiv).toBe(5);
+  });
+});
+
+describe("sensitivityGrid", () => {
+  const inputs = { D0: 2, required: 0.1, gConst: 0.05 };
+
+  it("prices every valid cell with the model", () => {
+    const grid = sensitivityGrid("growth", inputs, [0.09, 0.1], [0.04, 0.05]);
+    expect(grid).toHaveLength(2);
+    expect(grid[1].required).toBe(0.1);
+    expect(grid[1].cells[1].price).toBeCloseTo(42, 10);
+    expect(grid[0].cells[0].price).toBeCloseTo(2.08 / 0.05, 10);
+  });
+
+  it("flags cells where growth is not below the required return", () => {
+    const grid = sensitivityGrid("growth", inputs, [0.05], [0.04, 0.05, 0.06]);
+    expect(grid[0].cells.map((cell) => cell.invalid)).toEqual([false, true, true]);
+    expect(grid[0].cells[1].price).toBeNaN();
+  });
+
+  it("varies the terminal stage growth for the changing model", () => {
+    const stages = [{ growth: 0.2, years: 3 }, { growth: 0.05 }];
+    const grid = sensitivityGrid("changing", { D0: 1, stages }, [0.12], [0.05]);
+    expect(grid[0].cells[0].price).toBeCloseTo(21.899, 3);
+  });
+});
+
+describe("pvBreakdown", () => {
+  const inputs = {
+    D0: 1,
+    required: 0.12,
+    gConst: 0.05,
+    stages: [{ growth: 0.2, years: 3 }, { growth: 0.05 }],
+    halfLife: 5,
+    horizon: 5,
+  };
+
+  it("itemises the two-stage textbook answer", () => {
+    const { rows, total, price } = pvBreakdown("changing", inputs);
+    expect(rows.map((row) => row.kind)).toEqual(["dividend", "dividend", "dividend", "terminal"]);
+    expect(rows[0].discountFactor).toBeCloseTo(1 / 1.12, 12);
+    expect(rows[2].pv).toBeCloseTo(1.728 / Math.pow(1.12, 3), 12);
+    expect(rows[3].year).toBe(3);
+    expect(rows[3].amount).toBeCloseTo(25.92, 10);
+    expect(rows[3].cumulativePV).toBe(total);
+    expect(total).toBeCloseTo(price, 10);
+  });
+
+  it("totals to the price for every model", () => {
+    for (const model of ["constant", "growth", "changing", "hmodel"]) {
+      const { total, price } = pvBreakdown(model, inputs);
+      expect(isFinite(price)).toBe(true);
+      expect(Math.abs(total - price)).toBeLessThan(1e-9);
+    }
+  });
+
+  it("discounts the Gordon terminal value from the end of the horizon", () => {
+    const { rows } = pvBreakdown("growth", inputs);
+    expect(rows).toHaveLength(6);
+    expect(rows[5]).toMatchObject({ kind: "terminal", year: 5 });
+  });
+
+  it("splits the H-model into long-run value and high-growth premium", () => {
+    const { rows } = pvBreakdown("hmodel", { ...inputs, required: 0.1, stages: [{ growth: 0.2, years: 3 }, { growth: 0.06 }] });
+    expect(rows.map((row) => row.kind)).toEqual(["component", "component"]);
+    expect(rows[0].pv).toBeCloseTo(26.5, 10);
+    expect(rows[1].pv).toBeCloseTo(17.5, 10);
+  });
+
+  it("has no rows when the model has no price", () => {
+    expect(pvBreakdown("growth", { ...inputs, gConst: 0.15 })).toMatchObject({ rows: [], total: NaN });
+  });
+});
+
+describe("pricePath", () => {
+  const inputs = { D0: 2, required: 0.1, gConst: 0.04, stages: [{ growth: 0.15, years: 3 }, { growth: 0.08, years: 2 }, { growth: 0.04 }], halfLife: 3 };
+  const models = ["constant", "growth", "changing", "hmodel"];
+
+  it("starts at each model's price", () => {
+    for (const model of models) expect(pricePath(model, inputs, 5)[0]).toBeCloseTo(priceModel(model, inputs), 10);
+  });
+
+  it("grows at g under the constant growth model", () => {
+    const path = pricePath("growth", inputs, 8);
+    expect(path).toHaveLength(9);
+    for (let t = 1; t <= 8; t++) expect(path[t] / path[t - 1]).toBeCloseTo(1.04, 12);
+  });
+
+  it("values the changing model's remaining dividends each year", () => {
+    const path = pricePath("changing", inputs, 8);
+    const { cashFlows, terminalValue } = multiStageGrowth({ ...inputs, horizon: 9 });
+    // Holding for one year returns r: (Dₜ₊₁ + Pₜ₊₁) ÷ Pₜ = 1 + r
+    for (let t = 0; t < 8; t++) expect((cashFlows[t].dividend + path[t + 1]) / path[t]).toBeCloseTo(1.1, 10);
+    expect(path[5]).toBeCloseTo(terminalValue, 10);
+    expect(path[8] / path[7]).toBeCloseTo(1.04, 12);
+  });
+
+  it("settles the H-model onto Gordon growth once growth has faded", () => {
+    const path = pricePath("hmodel", inputs, 10);
+    expect(path[7] / path[6]).toBeCloseTo(1.04, 12);
+    expect(path[1]).toBeGreaterThan(path[0]);
+  });
+
+  it("is NaN without a price and follows the timing convention", () => {
+    expect(pricePath("growth", { ...inputs, gConst: 0.12 }, 3).every(Number.isNaN)).toBe(true);
+    const quarterly = { ...inputs, frequency: 4, midYear: true };
+    const path = pricePath("growth", quarterly, 4);
+    expect(path[0]).toBeCloseTo(priceModel("growth", quarterly), 10);
+    expect(path[4] / path[0]).toBeCloseTo(1.04, 12);
+  });
+
+  it("fills the chart rows", () => {
+    const { data, prices } = buildDividendSeries({ ...inputs, horizon: 10 });
+    expect(data[0].constGrowPrice).toBeCloseTo(prices.growth, 10);
+    expect(data[10].constDivPrice).toBeCloseTo(20, 10);
+    expect(buildDividendSeries({ ...inputs, gConst: 0.2 }).data.every((row) => row.constGrowPrice === null)).toBe(true);
+  });
+});
+
+describe("timing conventions", () => {
+  const inputs = { D0: 4, required: 0.1, gConst: 0.05, stages: [{ growth: 0.08, years: 3 }, { growth: 0.04 }], halfLife: 2, horizon: 10 };
+  const models = ["constant", "growth", "changing", "hmodel"];
+
+  it("converts annual inputs to quarterly periods", () => {
+    const periods = periodInputs("growth", { ...inputs, frequency: 4 });
+    expect(periods.D0).toBe(1);
+    expect(Math.pow(1 + periods.required, 4)).toBeCloseTo(1.1, 12);
+    expect(Math.pow(1 + periods.gConst, 4)).toBeCloseTo(1.05, 12);
+    expect(periods.stages[0].years).toBe(12);
+    expect(periods.halfLife).toBe(8);
+    expect(periods.horizon).toBe(40);
+  });
+
+  it("prices quarterly dividends with periodic rates", () => {
+    const { prices, horizon, data } = buildDividendSeries({ ...inputs, frequency: 4 });
+    const rq = Math.pow(1.1, 0.25) - 1;
+    const gq = Math.pow(1.05, 0.25) - 1;
+    expect(prices.growth).toBeCloseTo(1 * (1 + gq) / (rq - gq), 10);
+    expect(prices.constant).toBeCloseTo(1 / rq, 10);
+    expect(horizon).toBe(40);
+    expect(data).toHaveLength(41);
+    expect(data[1].constDiv).toBe(1);
+  });
+
+  it("takes a next-year dividend back a year at each model's first-year growth", () => {
+    const next = buildDividendSeries({ ...inputs, D0: 4.2, dividendBasis: "next" }).prices;
+    expect(next.growth).toBeCloseTo(buildDividendSeries(inputs).prices.growth, 10);
+    expect(next.constant).toBeCloseTo(42, 10);
+    expect(next.changing).toBeCloseTo(buildDividendSeries({ ...inputs, D0: 4.2 / 1.08 }).prices.changing, 10);
+  });
+
+  it("scales every price by (1 + r)^½ with mid-year discounting", () => {
+    const end = buildDividendSeries(inputs).prices;
+    const mid = buildDividendSeries({ ...inputs, midYear: true }).prices;
+    for (const model of models) expect(mid[model]).toBeCloseTo(end[model] * Math.sqrt(1.1), 10);
+  });
+
+  it("agrees across priceModel, buildDividendSeries and pvBreakdown", () => {
+    const timed = { ...inputs, frequency: 2, dividendBasis: "next", midYear: true };
+    const { prices } = buildDividendSeries(timed);
+    for (const model of models) {
+      expect(priceModel(model, timed)).toBeCloseTo(prices[model], 10);
+      const { total, price } = pvBreakdown(model, timed);
+      expect(Math.abs(total - price)).toBeLessThan(1e-9);
+    }
+  });
+});
@@ -0,0 +1,10 @@
+// Test helper for the specs in src/: an in-memory stand-in for localStorage, for the modules that
+// save settings or scores. items exposes what was stored.
+export function memoryStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    items,
+  };
+}